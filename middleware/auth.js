@@ -1,8 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
+// Verify the bearer token and attach req.user (or req.guest when guests are allowed)
+const authenticate = (allowGuest) => async (req, res, next) => {
     let token;
 
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -13,6 +14,19 @@ const protect = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Guest tokens are issued after OTP verification and carry only the phone number
+            if (decoded.guest) {
+                if (!allowGuest) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Please log in to access this resource'
+                    });
+                }
+
+                req.guest = { phoneNumber: decoded.phoneNumber };
+                return next();
+            }
+
             // Get user from token
             req.user = await User.findById(decoded.id).select('-password');
 
@@ -23,6 +37,30 @@ const protect = async (req, res, next) => {
                 });
             }
 
+            // Reject tokens issued before the password was last changed or reset
+            if (req.user.changedPasswordAfter(decoded.iat)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Password was changed, please log in again'
+                });
+            }
+
+            // Reject tokens whose session was logged out or revoked
+            const session = decoded.sid && await AuthSession.exists({
+                _id: decoded.sid,
+                userId: req.user._id,
+                revokedAt: null
+            });
+
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has expired or was revoked, please log in again'
+                });
+            }
+
+            req.sessionId = decoded.sid;
+
             next();
         } catch (error) {
             console.error('Token verification error:', error);
@@ -41,14 +79,72 @@ const protect = async (req, res, next) => {
     }
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+// Protect routes - verify JWT token of a registered user
+const protect = authenticate(false);
+
+// Protect routes that also accept a guest verified by OTP
+const protectUserOrGuest = authenticate(true);
+
+// Cart and order ownership filter for the current user or guest
+const getOwner = (req) => {
+    return req.user ? { userId: req.user._id } : { guestPhone: req.guest.phoneNumber };
+};
+
+// Who is acting, for audit trails such as the order status history
+const getActor = (req) => {
+    if (!req.user) {
+        return { type: 'guest' };
+    }
+    return { id: req.user._id, type: req.user.role };
+};
+
+// Restrict routes to the given roles - must run after protect
+const authorize = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this resource'
+            });
+        }
+
+        next();
+    };
+};
+
+// Require a verified email address - must run after protect; guests are already verified by OTP
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user && !req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address first'
+        });
+    }
+
+    next();
+};
+
+// Generate a short-lived access token bound to a login session
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRE || '15m'
+    });
+};
+
+// Generate a short-lived guest token for a phone number verified by OTP
+const generateGuestToken = (phoneNumber) => {
+    return jwt.sign({ phoneNumber, guest: true }, process.env.JWT_SECRET, {
+        expiresIn: process.env.GUEST_TOKEN_EXPIRE || '30m'
     });
 };
 
 module.exports = {
     protect,
-    generateToken
+    protectUserOrGuest,
+    getOwner,
+    getActor,
+    authorize,
+    requireVerifiedEmail,
+    generateToken,
+    generateGuestToken
 };
@@ -0,0 +1,60 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_IMAGES_PER_GEM = 10;
+const MAX_PHOTOS_PER_REVIEW = 5;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Keep uploads in memory so they can be validated and resized before storing
+const imageUpload = (maxFiles) => multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+});
+
+const uploadErrorMessages = (field, maxFiles) => ({
+    LIMIT_FILE_SIZE: 'Each image must be 5MB or smaller',
+    LIMIT_FILE_COUNT: `You can upload at most ${maxFiles} images at a time`,
+    LIMIT_UNEXPECTED_FILE: `Only JPEG, PNG, GIF and WebP images are allowed in the "${field}" field`
+});
+
+// Accept up to maxFiles images in the given field and turn multer errors into 400s
+const uploadImages = (field, maxFiles) => {
+    const upload = imageUpload(maxFiles).array(field, maxFiles);
+    const messages = uploadErrorMessages(field, maxFiles);
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                return res.status(400).json({
+                    success: false,
+                    message: messages[err.code] || err.message
+                });
+            }
+
+            if (err) {
+                return next(err);
+            }
+
+            next();
+        });
+    };
+};
+
+const uploadGemImages = uploadImages('images', MAX_IMAGES_PER_GEM);
+const uploadReviewPhotos = uploadImages('photos', MAX_PHOTOS_PER_REVIEW);
+
+module.exports = {
+    MAX_IMAGES_PER_GEM,
+    MAX_PHOTOS_PER_REVIEW,
+    uploadGemImages,
+    uploadReviewPhotos
+};
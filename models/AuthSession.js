@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A login session; its refresh token rotates on every use and access tokens carry its id
+const authSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Hash of the refresh token that is currently valid
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Hashes of rotated refresh tokens, kept to detect reuse
+    previousTokenHashes: {
+        type: [String],
+        default: [],
+        index: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    ip: {
+        type: String,
+        trim: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'password_change', 'token_reuse']
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// The coupon applied to a user's or guest's cart
+const cartCouponSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Phone number of a guest verified by OTP, used instead of userId
+    guestPhone: {
+        type: String,
+        trim: true
+    },
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Every cart coupon belongs to either a user or a guest
+cartCouponSchema.pre('validate', function (next) {
+    if (!this.userId === !this.guestPhone) {
+        this.invalidate('userId', 'Cart coupon must belong to either a user or a guest');
+    }
+    next();
+});
+
+// One coupon per cart
+cartCouponSchema.index(
+    { userId: 1 },
+    { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+cartCouponSchema.index(
+    { guestPhone: 1 },
+    { unique: true, partialFilterExpression: { guestPhone: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CartCoupon', cartCouponSchema);
@@ -3,8 +3,12 @@ const mongoose = require('mongoose');
 const cartItemSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
+        ref: 'User'
+    },
+    // Phone number of a guest verified by OTP, used instead of userId
+    guestPhone: {
+        type: String,
+        trim: true
     },
     gemId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -21,7 +25,22 @@ const cartItemSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Ensure one cart item per user per gem
-cartItemSchema.index({ userId: 1, gemId: 1 }, { unique: true });
+// Every cart item belongs to either a user or a guest
+cartItemSchema.pre('validate', function (next) {
+    if (!this.userId === !this.guestPhone) {
+        this.invalidate('userId', 'Cart item must belong to either a user or a guest');
+    }
+    next();
+});
+
+// Ensure one cart item per user (or guest) per gem
+cartItemSchema.index(
+    { userId: 1, gemId: 1 },
+    { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+cartItemSchema.index(
+    { guestPhone: 1, gemId: 1 },
+    { unique: true, partialFilterExpression: { guestPhone: { $exists: true } } }
+);
 
 module.exports = mongoose.model('CartItem', cartItemSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named sequence, e.g. for invoice numbers. Increment it inside the transaction that uses the
+// number so an aborted transaction rolls the increment back and no number is skipped.
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Increment a sequence and return its new value
+counterSchema.statics.next = async function (name, session) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { session, new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        maxlength: [30, 'Coupon code cannot be more than 30 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot be more than 200 characters']
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: true
+    },
+    discountValue: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative'],
+        validate: {
+            validator: function (value) {
+                return this.discountType !== 'percentage' || value <= 100;
+            },
+            message: 'Percentage discount cannot be more than 100'
+        }
+    },
+    // Upper limit for percentage discounts
+    maxDiscount: {
+        type: Number,
+        min: [0, 'Maximum discount cannot be negative']
+    },
+    // Cart subtotal (after gem discounts) needed to use the coupon
+    minOrderValue: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum order value cannot be negative']
+    },
+    // When set, only gems in these categories are discounted
+    categories: {
+        type: [String],
+        default: []
+    },
+    // When set, only gems for these zodiac signs (whomToUse) are discounted
+    zodiacSigns: {
+        type: [String],
+        default: []
+    },
+    validFrom: {
+        type: Date
+    },
+    validUntil: {
+        type: Date,
+        validate: {
+            validator: function (value) {
+                return !value || !this.validFrom || value >= this.validFrom;
+            },
+            message: 'Valid until must be after valid from'
+        }
+    },
+    // Total redemptions allowed; empty means unlimited
+    usageLimit: {
+        type: Number,
+        min: [1, 'Usage limit must be at least 1']
+    },
+    // Redemptions allowed per user or guest phone; once per customer unless set, null means unlimited
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: [1, 'Per-user limit must be at least 1']
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Used count cannot be negative']
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Query conditions for a coupon that can be redeemed right now
+couponSchema.statics.redeemableFilter = function (now = new Date()) {
+    return {
+        active: true,
+        $and: [
+            { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+            { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+            { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }
+        ]
+    };
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by an order, used to enforce per-user limits
+const couponRedemptionSchema = new mongoose.Schema({
+    couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    guestPhone: {
+        type: String,
+        trim: true
+    },
+    discount: {
+        type: Number,
+        required: true,
+        min: [0, 'Discount cannot be negative']
+    }
+}, {
+    timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+couponRedemptionSchema.index({ couponId: 1, guestPhone: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { searchTermsFor } = require('../utils/search');
+const { calculateEffectivePrice } = require('../utils/pricing');
 
 const gemSchema = new mongoose.Schema({
     name: {
@@ -25,13 +27,49 @@ const gemSchema = new mongoose.Schema({
     discount: {
         type: Number,
         default: 0,
-        min: [0, 'Discount cannot be negative']
+        min: [0, 'Discount cannot be negative'],
+        validate: [
+            {
+                validator: function (value) {
+                    return this.discountType !== 'percentage' || value <= 100;
+                },
+                message: 'Percentage discount cannot be more than 100'
+            },
+            {
+                validator: function (value) {
+                    return this.discountType !== 'fixed' || value <= this.price;
+                },
+                message: 'Fixed discount cannot be more than the price'
+            }
+        ]
     },
     discountType: {
         type: String,
         enum: ['percentage', 'fixed'],
         default: 'percentage'
     },
+    // Price after the discount and what the discount saves, kept up to date from price and discount
+    effectivePrice: {
+        type: Number,
+        min: 0
+    },
+    savingsAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    savingsPercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    // HSN code used for GST; gems without one use the code for cut precious stones
+    hsnCode: {
+        type: String,
+        trim: true,
+        match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits']
+    },
     sizeWeight: {
         type: Number,
         required: [true, 'Size/Weight is required'],
@@ -55,6 +93,10 @@ const gemSchema = new mongoose.Schema({
         type: [String],
         default: []
     },
+    thumbnails: {
+        type: [String],
+        default: []
+    },
     stock: {
         type: Number,
         default: 0,
@@ -81,15 +123,69 @@ const gemSchema = new mongoose.Schema({
     benefits: {
         type: [String],
         default: []
+    },
+    // Average and number of approved reviews, kept up to date by the review service
+    ratingAverage: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5
+    },
+    ratingCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Units sold in orders that weren't cancelled or returned, used to sort by popularity
+    soldCount: {
+        type: Number,
+        default: 0
+    },
+    // Word prefixes and trigrams of the name and category, for autocomplete and fuzzy search
+    searchPrefixes: {
+        type: [String],
+        select: false
+    },
+    searchGrams: {
+        type: [String],
+        select: false
     }
 }, {
     timestamps: true
 });
 
+// Keep allImages as the linked images followed by the uploaded ones
+gemSchema.pre('validate', function (next) {
+    this.allImages = [...this.images, ...this.uploadedImages];
+    next();
+});
+
+// Keep the effective price and savings in step with the price and discount
+gemSchema.pre('validate', function (next) {
+    Object.assign(this, calculateEffectivePrice(this));
+    next();
+});
+
+// Rebuild the search terms when the name or category changes
+gemSchema.pre('validate', function (next) {
+    if (this.isNew || this.isModified('name') || this.isModified('category')) {
+        Object.assign(this, searchTermsFor(this));
+    }
+    next();
+});
+
 // Index for better search performance
-gemSchema.index({ name: 'text', description: 'text', category: 'text' });
+gemSchema.index(
+    { name: 'text', description: 'text', category: 'text' },
+    { name: 'gem_text_search', weights: { name: 10, category: 5, description: 1 } }
+);
+gemSchema.index({ searchPrefixes: 1 });
+gemSchema.index({ searchGrams: 1 });
 gemSchema.index({ category: 1 });
 gemSchema.index({ price: 1 });
+gemSchema.index({ effectivePrice: 1 });
 gemSchema.index({ availability: 1 });
+gemSchema.index({ ratingAverage: -1, ratingCount: -1 });
+gemSchema.index({ soldCount: -1 });
 
 module.exports = mongoose.model('Gem', gemSchema);
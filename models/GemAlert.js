@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { safeEqual } = require('../utils/crypto');
+
+const gemAlertSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Phone number of a guest verified by OTP, used instead of userId
+    guestPhone: {
+        type: String,
+        trim: true
+    },
+    gemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Gem',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['back_in_stock', 'price_drop'],
+        required: true
+    },
+    // Notifier used to reach the subscriber; guests can only be reached by SMS
+    channel: {
+        type: String,
+        enum: ['email', 'sms'],
+        required: true
+    },
+    // Back-in-stock alerts are sent once and then deactivated; price-drop alerts stay active
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Price-drop alerts fire only when the effective price falls below this: the price when
+    // subscribing, then the last price the subscriber was told about
+    referencePrice: {
+        type: Number,
+        min: 0
+    },
+    lastNotifiedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Every alert belongs to either a user or a guest
+gemAlertSchema.pre('validate', function (next) {
+    if (!this.userId === !this.guestPhone) {
+        this.invalidate('userId', 'Alert must belong to either a user or a guest');
+    }
+    if (this.guestPhone && this.channel !== 'sms') {
+        this.invalidate('channel', 'Guests can only be alerted by SMS');
+    }
+    next();
+});
+
+// One alert of each type per user (or guest) per gem
+gemAlertSchema.index(
+    { userId: 1, gemId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+gemAlertSchema.index(
+    { guestPhone: 1, gemId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { guestPhone: { $exists: true } } }
+);
+gemAlertSchema.index({ gemId: 1, type: 1, active: 1 });
+
+// Token for the unsubscribe link sent with every alert, so it works without logging in
+gemAlertSchema.methods.getUnsubscribeToken = function () {
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET)
+        .update(`gem-alert:${this._id}`)
+        .digest('hex');
+};
+
+gemAlertSchema.methods.verifyUnsubscribeToken = function (token) {
+    return safeEqual(this.getUnsubscribeToken(), token);
+};
+
+module.exports = mongoose.model('GemAlert', gemAlertSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    gstin: String,
+    address: String,
+    city: String,
+    state: String,
+    pincode: String,
+    email: String,
+    phone: String
+}, {
+    _id: false
+});
+
+const invoiceItemSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true
+    },
+    hsnCode: String,
+    quantity: {
+        type: Number,
+        required: true
+    },
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    taxableValue: {
+        type: Number,
+        required: true
+    },
+    taxRate: {
+        type: Number,
+        default: 0
+    },
+    cgst: {
+        type: Number,
+        default: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0
+    },
+    igst: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+// A tax invoice, or a credit note reversing part or all of one. Documents are snapshots and never change.
+const invoiceSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['invoice', 'credit_note'],
+        required: true
+    },
+    number: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    // For credit notes: the invoice being credited
+    invoiceNumber: {
+        type: String
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    returnRequestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest'
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    placeOfSupply: {
+        type: String
+    },
+    // Intra-state supplies are taxed as CGST + SGST, inter-state ones as IGST
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state'],
+        required: true
+    },
+    items: [invoiceItemSchema],
+    taxableValue: {
+        type: Number,
+        required: true
+    },
+    cgst: {
+        type: Number,
+        default: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0
+    },
+    igst: {
+        type: Number,
+        default: 0
+    },
+    shippingCharge: {
+        type: Number,
+        default: 0
+    },
+    codCharge: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One invoice per order; an order can have many credit notes
+invoiceSchema.index(
+    { orderId: 1 },
+    { unique: true, partialFilterExpression: { type: 'invoice' } }
+);
+invoiceSchema.index({ orderId: 1, type: 1, issuedAt: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
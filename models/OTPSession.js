@@ -1,12 +1,22 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { safeEqual } = require('../utils/crypto');
+
+const OTP_TTL_MINUTES = 5;
+const MAX_ATTEMPTS_PER_OTP = 3;
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.OTP_MAX_FAILED_ATTEMPTS || '10');
+const LOCKOUT_HOURS = parseInt(process.env.OTP_LOCKOUT_HOURS || '24');
+const RETENTION_HOURS = 24;
 
 const otpSessionSchema = new mongoose.Schema({
     phoneNumber: {
         type: String,
         required: true,
-        trim: true
+        trim: true,
+        index: true
     },
-    otp: {
+    // HMAC of the OTP - the code itself is never stored
+    otpHash: {
         type: String,
         required: true
     },
@@ -15,31 +25,98 @@ const otpSessionSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // When the current OTP stops being accepted
     expiresAt: {
         type: Date,
-        required: true,
-        default: Date.now,
-        expires: 300 // 5 minutes
+        required: true
     },
+    // Verification attempts against the current OTP
     attempts: {
         type: Number,
-        default: 0,
-        max: 3
+        default: 0
+    },
+    // Failed attempts across every OTP sent to this phone; not reset by resends
+    failedAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date
     },
     verified: {
         type: Boolean,
         default: false
+    },
+    lastSentAt: {
+        type: Date
+    },
+    deliveryStatus: {
+        type: String,
+        enum: ['pending', 'sent', 'delivered', 'failed'],
+        default: 'pending'
+    },
+    providerMessageId: {
+        type: String,
+        index: true,
+        sparse: true
+    },
+    deliveryError: {
+        type: String
+    },
+    // The session (and its failure count) is removed by MongoDB at this time
+    purgeAt: {
+        type: Date,
+        required: true,
+        expires: 0
     }
 }, {
     timestamps: true
 });
 
-// Generate session ID before saving
-otpSessionSchema.pre('save', function (next) {
-    if (!this.sessionId) {
-        this.sessionId = 'SESS' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
-    }
+const generateSessionId = () => 'SESS' + crypto.randomBytes(16).toString('hex').toUpperCase();
+
+// Bind the hash to the session so the same code in another session doesn't match
+const hashOtp = (otp, sessionId) => {
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+        .update(`${sessionId}:${otp}`)
+        .digest('hex');
+};
+
+// Keep the record at least RETENTION_HOURS after the last activity, and for the whole lockout
+otpSessionSchema.pre('validate', function (next) {
+    const retainUntil = Date.now() + RETENTION_HOURS * 60 * 60 * 1000;
+    const lockedUntil = this.lockedUntil ? this.lockedUntil.getTime() : 0;
+    this.purgeAt = new Date(Math.max(retainUntil, lockedUntil));
     next();
 });
 
+// Generate a new OTP and session ID, returning the plain code to send
+otpSessionSchema.methods.issueOtp = function () {
+    const otp = crypto.randomInt(100000, 1000000).toString();
+
+    this.sessionId = generateSessionId();
+    this.otpHash = hashOtp(otp, this.sessionId);
+    this.expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+    this.attempts = 0;
+    this.verified = false;
+
+    return otp;
+};
+
+// Compare an entered OTP with the stored hash in constant time
+otpSessionSchema.methods.matchesOtp = function (otp) {
+    return safeEqual(hashOtp(otp, this.sessionId), this.otpHash);
+};
+
+otpSessionSchema.methods.isLocked = function () {
+    return Boolean(this.lockedUntil) && this.lockedUntil > new Date();
+};
+
+otpSessionSchema.statics.OTP_TTL_MINUTES = OTP_TTL_MINUTES;
+otpSessionSchema.statics.MAX_ATTEMPTS_PER_OTP = MAX_ATTEMPTS_PER_OTP;
+otpSessionSchema.statics.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+otpSessionSchema.statics.LOCKOUT_HOURS = LOCKOUT_HOURS;
+otpSessionSchema.statics.RETENTION_HOURS = RETENTION_HOURS;
+
 module.exports = mongoose.model('OTPSession', otpSessionSchema);
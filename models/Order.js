@@ -1,5 +1,47 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; any other transition is rejected
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: ['return_requested'],
+    // A rejected return puts the order back to delivered
+    return_requested: ['returned', 'delivered'],
+    returned: ['refunded'],
+    // Paid orders that are cancelled are refunded
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    // User who made the change; empty for guests and automatic changes
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorType: {
+        type: String,
+        enum: ['customer', 'guest', 'staff', 'admin', 'system'],
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true
+    }
+}, {
+    _id: false
+});
+
 const orderSchema = new mongoose.Schema({
     orderId: {
         type: String,
@@ -8,14 +50,59 @@ const orderSchema = new mongoose.Schema({
     },
     userId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
+        ref: 'User'
+    },
+    // Phone number of a guest verified by OTP, used instead of userId
+    guestPhone: {
+        type: String,
+        trim: true
     },
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+        enum: Object.keys(STATUS_TRANSITIONS),
         default: 'pending'
     },
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: []
+    },
+    // Sum of the item prices before the coupon
+    subtotal: {
+        type: Number,
+        min: [0, 'Subtotal cannot be negative']
+    },
+    // Coupon discount taken off the subtotal
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+    },
+    couponCode: {
+        type: String,
+        trim: true
+    },
+    // GST on the items after the coupon
+    tax: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax cannot be negative']
+    },
+    shippingCharge: {
+        type: Number,
+        default: 0,
+        min: [0, 'Shipping charge cannot be negative']
+    },
+    shippingZone: {
+        type: String,
+        enum: ['local', 'regional', 'national', 'remote']
+    },
+    // Surcharge for cash on delivery
+    codCharge: {
+        type: Number,
+        default: 0,
+        min: [0, 'COD charge cannot be negative']
+    },
+    // Grand total: subtotal - discount + tax + shippingCharge + codCharge
     total: {
         type: Number,
         required: true,
@@ -68,24 +155,70 @@ const orderSchema = new mongoose.Schema({
         required: true,
         enum: ['cod', 'online', 'card', 'upi']
     },
+    paymentStatus: {
+        type: String,
+        enum: ['unpaid', 'paid', 'partially_refunded', 'refunded'],
+        default: 'unpaid'
+    },
+    paidAt: {
+        type: Date
+    },
+    // Total of refunds issued or in progress; never more than the order total
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Refunded amount cannot be negative']
+    },
+    // Unpaid online orders are cancelled and their stock released after this time
+    paymentExpiresAt: {
+        type: Date
+    },
     orderNotes: {
         type: String,
         trim: true
     },
+    // Number of the tax invoice issued when the order was confirmed
+    invoiceNumber: {
+        type: String
+    },
     trackingNumber: {
         type: String,
         trim: true
+    },
+    carrier: {
+        type: String,
+        trim: true
+    },
+    shippedAt: {
+        type: Date
+    },
+    deliveredAt: {
+        type: Date
     }
 }, {
     timestamps: true
 });
 
-// Generate order ID before saving
-orderSchema.pre('save', function (next) {
+// Generate order ID before validation so the required check passes
+orderSchema.pre('validate', function (next) {
     if (!this.orderId) {
         this.orderId = 'ORD' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
     }
+    if (!this.userId === !this.guestPhone) {
+        this.invalidate('userId', 'Order must belong to either a user or a guest');
+    }
     next();
 });
 
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ guestPhone: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, paymentExpiresAt: 1 });
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+orderSchema.statics.canTransition = function (from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 module.exports = mongoose.model('Order', orderSchema);
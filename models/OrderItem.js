@@ -16,10 +16,55 @@ const orderItemSchema = new mongoose.Schema({
         required: true,
         min: [1, 'Quantity must be at least 1']
     },
+    // Gem list price at the time of purchase
+    listPrice: {
+        type: Number,
+        required: true,
+        min: [0, 'List price cannot be negative']
+    },
+    // Per-unit discount applied to the list price
+    discountAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+    },
+    // Final unit price charged
     price: {
         type: Number,
         required: true,
         min: [0, 'Price cannot be negative']
+    },
+    // This line's share of the order's coupon discount
+    couponDiscount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Coupon discount cannot be negative']
+    },
+    hsnCode: {
+        type: String,
+        trim: true
+    },
+    // GST rate in percent
+    taxRate: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax rate cannot be negative']
+    },
+    // Line total after the coupon, on which GST is charged
+    taxableValue: {
+        type: Number,
+        min: [0, 'Taxable value cannot be negative']
+    },
+    taxAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Tax amount cannot be negative']
+    },
+    // Units taken back through approved returns
+    returnedQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Returned quantity cannot be negative']
     }
 }, {
     timestamps: true
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay for an order through a payment provider
+const paymentSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // The provider's ID for this payment intent
+    providerPaymentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    method: {
+        type: String,
+        required: true,
+        enum: ['online', 'card', 'upi']
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+        type: String,
+        required: true,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed', 'expired'],
+        default: 'pending'
+    },
+    failureReason: {
+        type: String,
+        trim: true
+    },
+    paidAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
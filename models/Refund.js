@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Money returned to the customer for a cancelled or returned order
+const refundSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    // The payment refunded through the provider; empty for cash on delivery orders
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    returnRequestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // 'original' refunds the provider payment, 'manual' is paid out by staff (cash on delivery)
+    method: {
+        type: String,
+        enum: ['original', 'manual'],
+        required: true
+    },
+    provider: {
+        type: String
+    },
+    providerRefundId: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    failureReason: {
+        type: String,
+        trim: true
+    },
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
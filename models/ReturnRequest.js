@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+    orderItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderItem',
+        required: true
+    },
+    gemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Gem',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Unit price paid, copied from the order item
+    price: {
+        type: Number,
+        required: true,
+        min: [0, 'Price cannot be negative']
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot be more than 500 characters']
+    }
+}, {
+    _id: false
+});
+
+// A customer's request to return some or all items of a delivered order
+const returnRequestSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    items: {
+        type: [returnItemSchema],
+        validate: [items => items.length > 0, 'At least one item is required']
+    },
+    reason: {
+        type: String,
+        required: [true, 'Reason is required'],
+        trim: true,
+        maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected'],
+        default: 'requested'
+    },
+    // Amount to refund for the returned items
+    refundAmount: {
+        type: Number,
+        required: true,
+        min: [0, 'Refund amount cannot be negative']
+    },
+    restocked: {
+        type: Boolean,
+        default: false
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    reviewNote: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+    gemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Gem',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Delivered order the review is based on
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    verifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5']
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    text: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Review cannot be more than 2000 characters']
+    },
+    photos: {
+        type: [String],
+        default: []
+    },
+    // New reviews wait for staff approval; only approved reviews are shown and rated
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    moderatedAt: {
+        type: Date
+    },
+    moderationNote: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Moderation note cannot be more than 500 characters']
+    },
+    helpfulCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Users who voted the review helpful, so each can vote once
+    helpfulVoters: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+// One review per user per gem
+reviewSchema.index({ gemId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ gemId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
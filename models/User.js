@@ -1,5 +1,61 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Saved shipping address; same fields as Order.shippingAddress
+const addressSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Label cannot be more than 50 characters']
+    },
+    firstName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    lastName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    address: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    city: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    state: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    pincode: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -28,19 +84,71 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters'],
         select: false // Don't include password in queries by default
+    },
+    role: {
+        type: String,
+        enum: ['customer', 'staff', 'admin'],
+        default: 'customer'
+    },
+    addresses: {
+        type: [addressSchema],
+        default: []
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpire: {
+        type: Date,
+        select: false
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+    resetPasswordToken: {
+        type: String,
+        select: false
+    },
+    resetPasswordExpire: {
+        type: Date,
+        select: false
     }
 }, {
     timestamps: true
 });
 
+// Hash tokens sent by email so a database leak doesn't expose usable links
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Keep exactly one default address whenever the user has any
+userSchema.pre('validate', function (next) {
+    if (this.isModified('addresses') && this.addresses.length > 0) {
+        const defaults = this.addresses.filter(a => a.isDefault);
+        const defaultAddress = defaults[defaults.length - 1] || this.addresses[0];
+        this.addresses.forEach(a => {
+            a.isDefault = a === defaultAddress;
+        });
+    }
+    next();
+});
+
 // Encrypt password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
 
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Tokens issued before this moment are no longer accepted (backdated to cover JWT second precision)
+    if (!this.isNew) {
+        this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
 });
 
@@ -49,4 +157,31 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether a token issued at iat (seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function (iat) {
+    return Boolean(this.passwordChangedAt) && iat * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.resetPasswordToken = hashToken(resetToken);
+    this.resetPasswordExpire = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+    return resetToken;
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function () {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+
+    this.emailVerificationToken = hashToken(verificationToken);
+    this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+    return verificationToken;
+};
+
+userSchema.statics.hashToken = hashToken;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Phone number of a guest verified by OTP, used instead of userId
+    guestPhone: {
+        type: String,
+        trim: true
+    },
+    gemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Gem',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Every wishlist item belongs to either a user or a guest
+wishlistItemSchema.pre('validate', function (next) {
+    if (!this.userId === !this.guestPhone) {
+        this.invalidate('userId', 'Wishlist item must belong to either a user or a guest');
+    }
+    next();
+});
+
+// Ensure a gem is on a user's (or guest's) wishlist only once
+wishlistItemSchema.index(
+    { userId: 1, gemId: 1 },
+    { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+wishlistItemSchema.index(
+    { guestPhone: 1, gemId: 1 },
+    { unique: true, partialFilterExpression: { guestPhone: { $exists: true } } }
+);
+
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
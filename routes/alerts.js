@@ -0,0 +1,227 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const GemAlert = require('../models/GemAlert');
+const Gem = require('../models/Gem');
+const { protectUserOrGuest, getOwner } = require('../middleware/auth');
+const { gemPricing } = require('../utils/pricing');
+
+const router = express.Router();
+
+const alertDetails = (alert) => ({
+    id: alert._id,
+    gemId: alert.gemId,
+    type: alert.type,
+    channel: alert.channel,
+    active: alert.active,
+    referencePrice: alert.referencePrice,
+    lastNotifiedAt: alert.lastNotifiedAt,
+    createdAt: alert.createdAt
+});
+
+// @route   GET /api/alerts
+// @desc    Get user's back-in-stock and price-drop alerts
+// @access  Private (user or guest)
+router.get('/', protectUserOrGuest, async (req, res) => {
+    try {
+        const alerts = await GemAlert.find(getOwner(req))
+            .populate('gemId', 'name price discount discountType effectivePrice images stock availability')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: alerts.filter(alert => alert.gemId).map(alert => ({
+                ...alertDetails(alert),
+                gemId: alert.gemId._id,
+                gem: {
+                    name: alert.gemId.name,
+                    images: alert.gemId.images,
+                    unitPrice: gemPricing(alert.gemId).effectivePrice,
+                    inStock: alert.gemId.availability && alert.gemId.stock > 0
+                }
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during alerts retrieval'
+        });
+    }
+});
+
+// @route   POST /api/alerts
+// @desc    Subscribe to a back-in-stock or price-drop alert for a gem
+// @access  Private (user or guest)
+router.post('/', protectUserOrGuest, [
+    body('gemId')
+        .isMongoId()
+        .withMessage('Valid gem ID is required'),
+    body('type')
+        .isIn(['back_in_stock', 'price_drop'])
+        .withMessage('Type must be either back_in_stock or price_drop'),
+    body('channel')
+        .optional()
+        .isIn(['email', 'sms'])
+        .withMessage('Channel must be either email or sms')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { gemId, type } = req.body;
+        const owner = getOwner(req);
+
+        // Users are emailed unless they ask for SMS; guests only have their phone number
+        const channel = req.body.channel || (req.user ? 'email' : 'sms');
+
+        if (channel === 'email' && !req.user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Guests can only be alerted by SMS'
+            });
+        }
+
+        if (channel === 'sms' && req.user && !req.user.phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Add a phone number to your profile to get SMS alerts'
+            });
+        }
+
+        const gem = await Gem.findById(gemId);
+        if (!gem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
+        }
+
+        if (type === 'back_in_stock' && gem.availability && gem.stock > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Gem is already in stock'
+            });
+        }
+
+        // Subscribing again re-arms an alert that was already sent
+        const alert = await GemAlert.findOneAndUpdate(
+            { ...owner, gemId, type },
+            {
+                channel,
+                active: true,
+                referencePrice: gemPricing(gem).effectivePrice
+            },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Alert created',
+            data: alertDetails(alert)
+        });
+
+    } catch (error) {
+        console.error('Create alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during alert creation'
+        });
+    }
+});
+
+// @route   POST /api/alerts/unsubscribe
+// @desc    Unsubscribe with the link sent in every alert
+// @access  Public
+router.post('/unsubscribe', [
+    body('alertId')
+        .isMongoId()
+        .withMessage('Valid alert ID is required'),
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const alert = await GemAlert.findById(req.body.alertId);
+
+        if (!alert || !alert.verifyUnsubscribeToken(req.body.token)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid unsubscribe link'
+            });
+        }
+
+        await alert.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Unsubscribed from alert'
+        });
+
+    } catch (error) {
+        console.error('Unsubscribe alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during unsubscribe'
+        });
+    }
+});
+
+// @route   DELETE /api/alerts/:id
+// @desc    Unsubscribe from an alert
+// @access  Private (user or guest)
+router.delete('/:id', protectUserOrGuest, [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid alert ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const alert = await GemAlert.findOneAndDelete({ _id: req.params.id, ...getOwner(req) });
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Unsubscribed from alert'
+        });
+
+    } catch (error) {
+        console.error('Delete alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during alert deletion'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,40 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const { protect } = require('../middleware/auth');
+const { sendMail } = require('../services/mailer');
+const ApiError = require('../utils/ApiError');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions
+} = require('../services/authSessionService');
 
 const router = express.Router();
 
+// Stricter limit for endpoints that send emails
+const emailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    message: {
+        success: false,
+        message: 'Too many requests, please try again later.'
+    }
+});
+
+// Email the verification link for a token created with createEmailVerificationToken
+const sendVerificationEmail = (user, verificationToken) => {
+    const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email/${verificationToken}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${verifyUrl}`
+    });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
@@ -58,20 +88,27 @@ router.post('/register', [
             password
         });
 
+        const verificationToken = user.createEmailVerificationToken();
         await user.save();
 
-        // Generate JWT token
-        const token = generateToken(user._id);
+        sendVerificationEmail(user, verificationToken)
+            .catch(error => console.error('Verification email error:', error));
+
+        // Start a session and issue access and refresh tokens
+        const { token, refreshToken } = await createSession(user, req);
 
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
+            message: 'User registered successfully, please verify your email',
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
-                phone: user.phone
+                phone: user.phone,
+                role: user.role,
+                emailVerified: user.emailVerified
             }
         });
 
@@ -129,18 +166,21 @@ router.post('/login', [
             });
         }
 
-        // Generate JWT token
-        const token = generateToken(user._id);
+        // Start a session and issue access and refresh tokens
+        const { token, refreshToken } = await createSession(user, req);
 
         res.json({
             success: true,
             message: 'Login successful',
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 name: user.name,
                 email: user.email,
-                phone: user.phone
+                phone: user.phone,
+                role: user.role,
+                emailVerified: user.emailVerified
             }
         });
 
@@ -153,4 +193,286 @@ router.post('/login', [
     }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new tokens
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken')
+        .isHexadecimal()
+        .withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken);
+
+        res.json({
+            success: true,
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during token refresh'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        await revokeAllSessions(req.user._id, 'logout_all');
+
+        res.json({
+            success: true,
+            message: 'Logged out from all devices'
+        });
+
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', emailLimiter, [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please enter a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { email } = req.body;
+
+        const user = await User.findOne({ email });
+
+        if (user) {
+            const resetToken = user.createPasswordResetToken();
+            const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+            // Save the token and send the email in the background; waiting for either would make
+            // the response slower for registered emails and reveal which accounts exist
+            user.save()
+                .then(() => sendMail({
+                    to: user.email,
+                    subject: 'Reset your password',
+                    text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires in 1 hour and can only be used once.\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`
+                }))
+                .catch(error => console.error('Password reset email error:', error));
+        }
+
+        // Same response whether or not the email is registered
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset request'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using the emailed token
+// @access  Public
+router.post(['/reset-password', '/reset-password/:token'], [
+    param('token')
+        .optional()
+        .isHexadecimal()
+        .withMessage('Invalid reset token'),
+    body('token')
+        .if((value, { req }) => !req.params.token)
+        .isHexadecimal()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const token = req.params.token || req.body.token;
+        const { password } = req.body;
+
+        // Consume the token atomically so it can only be used once
+        const user = await User.findOneAndUpdate(
+            {
+                resetPasswordToken: User.hashToken(token),
+                resetPasswordExpire: { $gt: new Date() }
+            },
+            { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        // Setting the password also invalidates tokens issued before now
+        user.password = password;
+        await user.save();
+        await revokeAllSessions(user._id, 'password_change');
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password reset'
+        });
+    }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify user email
+// @access  Public
+router.get('/verify-email/:token', [
+    param('token')
+        .isHexadecimal()
+        .withMessage('Invalid verification token')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOneAndUpdate(
+            {
+                emailVerificationToken: User.hashToken(req.params.token),
+                emailVerificationExpire: { $gt: new Date() }
+            },
+            {
+                emailVerified: true,
+                $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 }
+            }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification token'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during email verification'
+        });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', emailLimiter, protect, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        const verificationToken = req.user.createEmailVerificationToken();
+        await req.user.save();
+        await sendVerificationEmail(req.user, verificationToken);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during sending verification email'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const CartItem = require('../models/CartItem');
 const Gem = require('../models/Gem');
-const { protect } = require('../middleware/auth');
+const CartCoupon = require('../models/CartCoupon');
+const { protectUserOrGuest, getOwner } = require('../middleware/auth');
+const { roundPrice, gemPricing } = require('../utils/pricing');
+const { calculateOrderCharges } = require('../utils/charges');
+const { evaluateCoupon, findCoupon, getCartCoupon } = require('../services/couponService');
+const ApiError = require('../utils/ApiError');
 
 const router = express.Router();
 
 // @route   POST /api/cart/add
 // @desc    Add item to cart
-// @access  Private
-router.post('/add', protect, [
+// @access  Private (user or guest)
+router.post('/add', protectUserOrGuest, [
     body('gemId')
         .isMongoId()
         .withMessage('Valid gem ID is required'),
@@ -28,7 +33,7 @@ router.post('/add', protect, [
         }
 
         const { gemId, quantity } = req.body;
-        const userId = req.user._id;
+        const owner = getOwner(req);
 
         // Check if gem exists
         const gem = await Gem.findById(gemId);
@@ -48,7 +53,7 @@ router.post('/add', protect, [
         }
 
         // Check if item already exists in cart
-        let cartItem = await CartItem.findOne({ userId, gemId });
+        let cartItem = await CartItem.findOne({ ...owner, gemId });
 
         if (cartItem) {
             // Update quantity
@@ -57,7 +62,7 @@ router.post('/add', protect, [
         } else {
             // Create new cart item
             cartItem = new CartItem({
-                userId,
+                ...owner,
                 gemId,
                 quantity
             });
@@ -87,36 +92,44 @@ router.post('/add', protect, [
 });
 
 // @route   GET /api/cart
-// @desc    Get user's cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @desc    Get user's cart with its price breakdown
+// @access  Private (user or guest)
+router.get('/', protectUserOrGuest, [
+    query('pincode')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Pincode must be 6 digits'),
+    query('paymentMethod')
+        .optional()
+        .isIn(['cod', 'online', 'card', 'upi'])
+        .withMessage('Invalid payment method')
+], async (req, res) => {
     try {
-        const userId = req.user._id;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
-        const cartItems = await CartItem.find({ userId })
-            .populate('gemId', 'name price images discount discountType')
+        const owner = getOwner(req);
+
+        const cartItems = await CartItem.find(owner)
+            .populate('gemId', 'name price images discount discountType effectivePrice savingsAmount savingsPercent category whomToUse hsnCode')
             .sort({ createdAt: -1 });
 
-        // Calculate total and item count
-        let total = 0;
         let itemCount = 0;
 
+        let lines = [];
         const items = cartItems.map(item => {
             const gem = item.gemId;
-            let itemPrice = gem.price;
-
-            // Apply discount
-            if (gem.discount > 0) {
-                if (gem.discountType === 'percentage') {
-                    itemPrice = itemPrice * (1 - gem.discount / 100);
-                } else {
-                    itemPrice = itemPrice - gem.discount;
-                }
-            }
+            const pricing = gemPricing(gem);
+            const unitPrice = pricing.effectivePrice;
 
-            const itemTotal = itemPrice * item.quantity;
-            total += itemTotal;
             itemCount += item.quantity;
+            lines.push({ gem, quantity: item.quantity, price: unitPrice });
 
             return {
                 id: item._id,
@@ -126,18 +139,61 @@ router.get('/', protect, async (req, res) => {
                     price: gem.price,
                     discount: gem.discount,
                     discountType: gem.discountType,
+                    ...pricing,
                     images: gem.images
                 },
                 quantity: item.quantity,
+                unitPrice,
+                itemTotal: roundPrice(unitPrice * item.quantity),
                 addedAt: item.createdAt
             };
         });
 
+        // Apply the cart's coupon; if it no longer applies, say why and keep the full price
+        let coupon = null;
+        const cartCoupon = await getCartCoupon(owner);
+
+        if (cartCoupon) {
+            coupon = { code: cartCoupon.code, description: cartCoupon.description, discount: 0 };
+            try {
+                const { discount, allocations } = await evaluateCoupon(cartCoupon, owner, lines);
+                coupon.discount = discount;
+                lines = lines.map((line, index) => ({ ...line, couponDiscount: allocations[index] }));
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
+                coupon.message = error.message;
+            }
+        }
+
+        // Estimate shipping for the given pincode, else the user's default address
+        const defaultAddress = req.user && req.user.addresses.find(a => a.isDefault);
+        const pincode = req.query.pincode || (defaultAddress && defaultAddress.pincode);
+        const charges = calculateOrderCharges(lines, {
+            pincode,
+            paymentMethod: req.query.paymentMethod
+        });
+
+        items.forEach((item, index) => {
+            item.taxRate = charges.items[index].taxRate;
+            item.taxAmount = charges.items[index].taxAmount;
+        });
+
         res.json({
             success: true,
             data: {
                 items,
-                total: Math.round(total * 100) / 100, // Round to 2 decimal places
+                subtotal: charges.subtotal,
+                coupon,
+                discount: charges.discount,
+                tax: charges.tax,
+                shipping: {
+                    pincode: pincode || null,
+                    zone: charges.shippingZone,
+                    charge: charges.shipping,
+                    freeAbove: charges.freeShippingAbove
+                },
+                codCharge: charges.codCharge,
+                total: charges.total,
                 itemCount
             }
         });
@@ -151,10 +207,104 @@ router.get('/', protect, async (req, res) => {
     }
 });
 
+// @route   POST /api/cart/coupon
+// @desc    Apply a coupon code to the cart, or remove it when code is empty
+// @access  Private (user or guest)
+router.post('/coupon', protectUserOrGuest, [
+    body('code')
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Coupon code cannot be more than 30 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { code } = req.body;
+        const owner = getOwner(req);
+
+        if (!code) {
+            await CartCoupon.deleteOne(owner);
+
+            return res.json({
+                success: true,
+                message: 'Coupon removed'
+            });
+        }
+
+        const coupon = await findCoupon(code);
+
+        if (!coupon) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid coupon code'
+            });
+        }
+
+        const cartItems = (await CartItem.find(owner)
+            .populate('gemId', 'price discount discountType effectivePrice category whomToUse'))
+            .filter(item => item.gemId);
+
+        if (cartItems.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty'
+            });
+        }
+
+        const lines = cartItems.map(item => ({
+            gem: item.gemId,
+            quantity: item.quantity,
+            price: gemPricing(item.gemId).effectivePrice
+        }));
+        const { discount } = await evaluateCoupon(coupon, owner, lines);
+        const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+        await CartCoupon.findOneAndUpdate(
+            owner,
+            { ...owner, couponId: coupon._id },
+            { upsert: true, runValidators: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Coupon applied',
+            data: {
+                code: coupon.code,
+                description: coupon.description,
+                subtotal,
+                discount
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Apply coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during coupon update'
+        });
+    }
+});
+
 // @route   PUT /api/cart/update/:gemId
 // @desc    Update cart item quantity
-// @access  Private
-router.put('/update/:gemId', protect, [
+// @access  Private (user or guest)
+router.put('/update/:gemId', protectUserOrGuest, [
     body('quantity')
         .isInt({ min: 1 })
         .withMessage('Quantity must be at least 1')
@@ -171,7 +321,7 @@ router.put('/update/:gemId', protect, [
 
         const { gemId } = req.params;
         const { quantity } = req.body;
-        const userId = req.user._id;
+        const owner = getOwner(req);
 
         // Check if gem exists
         const gem = await Gem.findById(gemId);
@@ -191,7 +341,7 @@ router.put('/update/:gemId', protect, [
         }
 
         const cartItem = await CartItem.findOneAndUpdate(
-            { userId, gemId },
+            { ...owner, gemId },
             { quantity },
             { new: true }
         );
@@ -219,13 +369,13 @@ router.put('/update/:gemId', protect, [
 
 // @route   DELETE /api/cart/remove/:gemId
 // @desc    Remove item from cart
-// @access  Private
-router.delete('/remove/:gemId', protect, async (req, res) => {
+// @access  Private (user or guest)
+router.delete('/remove/:gemId', protectUserOrGuest, async (req, res) => {
     try {
         const { gemId } = req.params;
-        const userId = req.user._id;
+        const owner = getOwner(req);
 
-        const cartItem = await CartItem.findOneAndDelete({ userId, gemId });
+        const cartItem = await CartItem.findOneAndDelete({ ...owner, gemId });
 
         if (!cartItem) {
             return res.status(404).json({
@@ -250,12 +400,13 @@ router.delete('/remove/:gemId', protect, async (req, res) => {
 
 // @route   DELETE /api/cart/clear
 // @desc    Clear all items from cart
-// @access  Private
-router.delete('/clear', protect, async (req, res) => {
+// @access  Private (user or guest)
+router.delete('/clear', protectUserOrGuest, async (req, res) => {
     try {
-        const userId = req.user._id;
+        const owner = getOwner(req);
 
-        await CartItem.deleteMany({ userId });
+        await CartItem.deleteMany(owner);
+        await CartCoupon.deleteOne(owner);
 
         res.json({
             success: true,
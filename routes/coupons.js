@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const { protect, authorize } = require('../middleware/auth');
+const { modelValidationFailed } = require('../utils/validators');
+
+const router = express.Router();
+
+// Coupon fields shared by create and update; optional marks every field optional for updates
+const couponValidation = ({ optional = false } = {}) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('code')
+            .trim()
+            .matches(/^[A-Za-z0-9_-]{3,30}$/)
+            .withMessage('Code must be 3-30 letters, digits, dashes or underscores'),
+        field('discountType')
+            .isIn(['percentage', 'fixed'])
+            .withMessage('Discount type must be either percentage or fixed'),
+        field('discountValue')
+            .isFloat({ gt: 0 })
+            .withMessage('Discount value must be a positive number')
+            .custom((value, { req }) => req.body.discountType !== 'percentage' || value <= 100)
+            .withMessage('Percentage discount cannot be more than 100'),
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Description cannot be more than 200 characters'),
+        body('maxDiscount')
+            .optional({ values: 'null' })
+            .isFloat({ gt: 0 })
+            .withMessage('Maximum discount must be a positive number'),
+        body('minOrderValue')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Minimum order value must be a non-negative number'),
+        body('categories')
+            .optional()
+            .isArray()
+            .withMessage('Categories must be an array'),
+        body('zodiacSigns')
+            .optional()
+            .isArray()
+            .withMessage('Zodiac signs must be an array'),
+        body(['validFrom', 'validUntil'])
+            .optional({ values: 'null' })
+            .isISO8601()
+            .withMessage('Validity dates must be dates'),
+        body(['usageLimit', 'perUserLimit'])
+            .optional({ values: 'null' })
+            .isInt({ min: 1 })
+            .withMessage('Usage limits must be positive integers'),
+        body('active')
+            .optional()
+            .isBoolean()
+            .withMessage('Active must be true or false')
+    ];
+};
+
+// @route   GET /api/coupons
+// @desc    Get all coupons
+// @access  Private (staff, admin)
+router.get('/', protect, authorize('staff', 'admin'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, active } = req.query;
+
+        // Build filter
+        const filter = {};
+        if (active !== undefined) filter.active = active === 'true';
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const coupons = await Coupon.find(filter)
+            .skip(skip)
+            .limit(parseInt(limit))
+            .sort({ createdAt: -1 });
+
+        const totalItems = await Coupon.countDocuments(filter);
+        const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                coupons,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems,
+                    hasNext: parseInt(page) < totalPages,
+                    hasPrev: parseInt(page) > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during coupons retrieval'
+        });
+    }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private (staff, admin)
+router.post('/', protect, authorize('staff', 'admin'), couponValidation(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const codeTaken = await Coupon.exists({ code: req.body.code.toUpperCase() });
+        if (codeTaken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code already exists'
+            });
+        }
+
+        // usedCount is only changed by redemptions
+        const { usedCount, ...couponData } = req.body;
+
+        const coupon = new Coupon(couponData);
+
+        const validationError = coupon.validateSync();
+        if (validationError) {
+            return res.status(400).json(modelValidationFailed(validationError));
+        }
+
+        await coupon.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: coupon
+        });
+
+    } catch (error) {
+        console.error('Create coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during coupon creation'
+        });
+    }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Private (staff, admin)
+router.put('/:id', protect, authorize('staff', 'admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid coupon ID is required'),
+    ...couponValidation({ optional: true })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const { usedCount, ...couponData } = req.body;
+
+        if (couponData.code && couponData.code.toUpperCase() !== coupon.code) {
+            const codeTaken = await Coupon.exists({ code: couponData.code.toUpperCase() });
+            if (codeTaken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Coupon code already exists'
+                });
+            }
+        }
+
+        coupon.set(couponData);
+
+        // Cross-field checks (e.g. a percentage over 100 after changing only the type) live in the model
+        const validationError = coupon.validateSync();
+        if (validationError) {
+            return res.status(400).json(modelValidationFailed(validationError));
+        }
+
+        await coupon.save();
+
+        res.json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: coupon
+        });
+
+    } catch (error) {
+        console.error('Update coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during coupon update'
+        });
+    }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon; orders that used it keep its code
+// @access  Private (admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during coupon deletion'
+        });
+    }
+});
+
+module.exports = router;
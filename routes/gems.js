@@ -1,14 +1,54 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, matchedData, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Gem = require('../models/Gem');
-const { protect } = require('../middleware/auth');
+const GemAlert = require('../models/GemAlert');
+const Review = require('../models/Review');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadGemImages, uploadReviewPhotos } = require('../middleware/upload');
+const ApiError = require('../utils/ApiError');
+const { addImages, reorderImages, removeImage, removeFiles } = require('../services/gemImageService');
+const { notifyGemChange } = require('../services/gemAlertService');
+const { createReview, reviewDetails } = require('../services/reviewService');
+const { catalogValidation, findGems, suggestGems } = require('../services/catalogService');
+const { modelValidationFailed } = require('../utils/validators');
+const { gemPricing } = require('../utils/pricing');
 
 const router = express.Router();
 
+// Catalog parameters accepted by the category and zodiac pages, which take their main filter from the path
+const BROWSE_PARAMETERS = [
+    'page', 'limit', 'origin', 'certification', 'minPrice', 'maxPrice', 'availability', 'minRating', 'sort'
+];
+
+// Sort orders for a gem's reviews
+const REVIEW_SORTS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    rating_high: { rating: -1, createdAt: -1 },
+    rating_low: { rating: 1, createdAt: -1 }
+};
+
+// Discount fields of a gem; whether a fixed discount fits the price is checked by the model
+const discountValidation = [
+    body('discount')
+        .optional()
+        .isNumeric()
+        .isFloat({ min: 0 })
+        .withMessage('Discount must be a non-negative number')
+        .custom((value, { req }) => req.body.discountType !== 'percentage' || value <= 100)
+        .withMessage('Percentage discount cannot be more than 100'),
+    body('discountType')
+        .optional()
+        .isIn(['percentage', 'fixed'])
+        .withMessage('Discount type must be either percentage or fixed')
+];
+
 // @route   POST /api/gems
 // @desc    Add a new gem
-// @access  Private
-router.post('/', protect, [
+// @access  Private (staff, admin)
+router.post('/', protect, authorize('staff', 'admin'), [
     body('name')
         .trim()
         .isLength({ min: 1, max: 255 })
@@ -33,15 +73,11 @@ router.post('/', protect, [
         .optional()
         .isInt({ min: 0 })
         .withMessage('Stock must be a non-negative integer'),
-    body('discount')
+    ...discountValidation,
+    body('hsnCode')
         .optional()
-        .isNumeric()
-        .isFloat({ min: 0 })
-        .withMessage('Discount must be a non-negative number'),
-    body('discountType')
-        .optional()
-        .isIn(['percentage', 'fixed'])
-        .withMessage('Discount type must be either percentage or fixed')
+        .matches(/^\d{4,8}$/)
+        .withMessage('HSN code must be 4 to 8 digits')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -53,14 +89,23 @@ router.post('/', protect, [
             });
         }
 
-        const gemData = req.body;
+        // Ratings and sales are only changed by reviews and orders, uploaded images by the image
+        // endpoints, and search terms, allImages, the effective price and savings by the model
+        const {
+            ratingAverage, ratingCount, soldCount,
+            uploadedImages, thumbnails, allImages,
+            searchPrefixes, searchGrams,
+            effectivePrice, savingsAmount, savingsPercent,
+            ...gemData
+        } = req.body;
 
-        // Combine all images
-        if (gemData.images && gemData.uploadedImages) {
-            gemData.allImages = [...gemData.images, ...gemData.uploadedImages];
+        const gem = new Gem(gemData);
+
+        const validationError = gem.validateSync();
+        if (validationError) {
+            return res.status(400).json(modelValidationFailed(validationError));
         }
 
-        const gem = new Gem(gemData);
         await gem.save();
 
         res.status(201).json({
@@ -69,6 +114,9 @@ router.post('/', protect, [
             data: {
                 id: gem._id,
                 name: gem.name,
+                effectivePrice: gem.effectivePrice,
+                savingsAmount: gem.savingsAmount,
+                savingsPercent: gem.savingsPercent,
                 createdAt: gem.createdAt
             }
         });
@@ -83,62 +131,181 @@ router.post('/', protect, [
 });
 
 // @route   GET /api/gems
-// @desc    Get all gems with optional filtering
+// @desc    Get all gems with optional filtering and sorting, and facet counts
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', catalogValidation('query'), async (req, res) => {
     try {
-        const {
-            page = 1,
-            limit = 10,
-            category,
-            minPrice,
-            maxPrice,
-            zodiac,
-            availability
-        } = req.query;
-
-        // Build filter object
-        const filter = {};
-
-        if (category) filter.category = category;
-        if (minPrice || maxPrice) {
-            filter.price = {};
-            if (minPrice) filter.price.$gte = parseFloat(minPrice);
-            if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
         }
-        if (zodiac) filter.whomToUse = { $in: [zodiac] };
-        if (availability !== undefined) filter.availability = availability === 'true';
 
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const result = await findGems(matchedData(req, { locations: ['query'] }), { facets: true });
 
-        // Get gems with pagination
-        const gems = await Gem.find(filter)
-            .select('-description -benefits -whomToUse -certification -origin')
-            .skip(skip)
-            .limit(parseInt(limit))
-            .sort({ createdAt: -1 });
+        res.json({
+            success: true,
+            data: result
+        });
 
-        // Get total count for pagination
-        const totalItems = await Gem.countDocuments(filter);
-        const totalPages = Math.ceil(totalItems / parseInt(limit));
+    } catch (error) {
+        console.error('Get gems error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during gems retrieval'
+        });
+    }
+});
+
+// @route   GET /api/gems/categories
+// @desc    Get all gem categories
+// @access  Public
+router.get('/categories', async (req, res) => {
+    try {
+        const categories = await Gem.distinct('category');
 
         res.json({
             success: true,
-            data: {
-                gems,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages,
-                    totalItems,
-                    hasNext: parseInt(page) < totalPages,
-                    hasPrev: parseInt(page) > 1
-                }
-            }
+            data: categories
         });
 
     } catch (error) {
-        console.error('Get gems error:', error);
+        console.error('Get categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during categories retrieval'
+        });
+    }
+});
+
+// @route   GET /api/gems/suggest
+// @desc    Autocomplete gem names and categories for a partly typed search
+// @access  Public
+router.get('/suggest', [
+    query('q')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Search query is required and cannot be more than 100 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const suggestions = await suggestGems(req.query.q);
+
+        res.json({
+            success: true,
+            data: suggestions
+        });
+
+    } catch (error) {
+        console.error('Suggest gems error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during gem suggestions'
+        });
+    }
+});
+
+// @route   POST /api/gems/search
+// @desc    Search gems with advanced filters, and facet counts
+// @access  Public
+router.post('/search', catalogValidation('body'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await findGems(matchedData(req, { locations: ['body'] }), { facets: true });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Search gems error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during gems search'
+        });
+    }
+});
+
+// @route   GET /api/gems/category/:category
+// @desc    Get gems by category
+// @access  Public
+router.get('/category/:category', catalogValidation('query', BROWSE_PARAMETERS), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await findGems({
+            ...matchedData(req, { locations: ['query'] }),
+            category: req.params.category
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get gems by category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during gems retrieval'
+        });
+    }
+});
+
+// @route   GET /api/gems/zodiac/:zodiacSign
+// @desc    Get gems by zodiac sign
+// @access  Public
+router.get('/zodiac/:zodiacSign', catalogValidation('query', BROWSE_PARAMETERS), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await findGems({
+            ...matchedData(req, { locations: ['query'] }),
+            zodiac: req.params.zodiacSign
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get gems by zodiac error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error during gems retrieval'
@@ -151,7 +318,7 @@ router.get('/', async (req, res) => {
 // @access  Public
 router.get('/:id', async (req, res) => {
     try {
-        const gem = await Gem.findById(req.params.id);
+        const gem = mongoose.isValidObjectId(req.params.id) && await Gem.findById(req.params.id);
 
         if (!gem) {
             return res.status(404).json({
@@ -176,8 +343,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   PUT /api/gems/:id
 // @desc    Update gem
-// @access  Private
-router.put('/:id', protect, [
+// @access  Private (staff, admin)
+router.put('/:id', protect, authorize('staff', 'admin'), [
     body('name')
         .optional()
         .trim()
@@ -191,7 +358,12 @@ router.put('/:id', protect, [
     body('stock')
         .optional()
         .isInt({ min: 0 })
-        .withMessage('Stock must be a non-negative integer')
+        .withMessage('Stock must be a non-negative integer'),
+    ...discountValidation,
+    body('hsnCode')
+        .optional()
+        .matches(/^\d{4,8}$/)
+        .withMessage('HSN code must be 4 to 8 digits')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -203,11 +375,7 @@ router.put('/:id', protect, [
             });
         }
 
-        const gem = await Gem.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        const gem = mongoose.isValidObjectId(req.params.id) && await Gem.findById(req.params.id);
 
         if (!gem) {
             return res.status(404).json({
@@ -216,11 +384,40 @@ router.put('/:id', protect, [
             });
         }
 
+        const previousStock = gem.stock;
+        const previousPrice = gemPricing(gem).effectivePrice;
+
+        const {
+            ratingAverage, ratingCount, soldCount,
+            uploadedImages, thumbnails, allImages,
+            searchPrefixes, searchGrams,
+            effectivePrice, savingsAmount, savingsPercent,
+            ...gemData
+        } = req.body;
+
+        // Save through the document so derived fields like allImages and the effective price stay in sync
+        gem.set(gemData);
+
+        // Cross-field checks (e.g. a fixed discount over a lowered price) live in the model
+        const validationError = gem.validateSync();
+        if (validationError) {
+            return res.status(400).json(modelValidationFailed(validationError));
+        }
+
+        await gem.save();
+
+        // Alert subscribers in the background; a slow notifier shouldn't hold up the update
+        notifyGemChange(gem, { previousStock, previousPrice })
+            .catch(error => console.error('Gem alerts error:', error));
+
         res.json({
             success: true,
             message: 'Gem updated successfully',
             data: {
                 id: gem._id,
+                effectivePrice: gem.effectivePrice,
+                savingsAmount: gem.savingsAmount,
+                savingsPercent: gem.savingsPercent,
                 updatedAt: gem.updatedAt
             }
         });
@@ -236,10 +433,10 @@ router.put('/:id', protect, [
 
 // @route   DELETE /api/gems/:id
 // @desc    Delete gem
-// @access  Private
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
     try {
-        const gem = await Gem.findByIdAndDelete(req.params.id);
+        const gem = mongoose.isValidObjectId(req.params.id) && await Gem.findByIdAndDelete(req.params.id);
 
         if (!gem) {
             return res.status(404).json({
@@ -248,6 +445,13 @@ router.delete('/:id', protect, async (req, res) => {
             });
         }
 
+        await removeFiles(gem.uploadedImages);
+        await GemAlert.deleteMany({ gemId: gem._id });
+
+        const reviews = await Review.find({ gemId: gem._id }).select('photos');
+        await Review.deleteMany({ gemId: gem._id });
+        await removeFiles(reviews.flatMap(review => review.photos));
+
         res.json({
             success: true,
             message: 'Gem deleted successfully'
@@ -262,59 +466,74 @@ router.delete('/:id', protect, async (req, res) => {
     }
 });
 
-// @route   POST /api/gems/search
-// @desc    Search gems with advanced filters
+// @route   GET /api/gems/:id/reviews
+// @desc    Get a gem's approved reviews with its rating summary
 // @access  Public
-router.post('/search', async (req, res) => {
+router.get('/:id/reviews', [
+    ...catalogValidation('query', ['page', 'limit']),
+    query('sort')
+        .optional()
+        .isIn(Object.keys(REVIEW_SORTS))
+        .withMessage(`Sort must be one of ${Object.keys(REVIEW_SORTS).join(', ')}`),
+    query('rating')
+        .optional()
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Rating must be between 1 and 5')
+], async (req, res) => {
     try {
-        const {
-            query,
-            category,
-            minPrice,
-            maxPrice,
-            zodiac,
-            benefits,
-            availability,
-            page = 1,
-            limit = 10
-        } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
-        // Build filter object
-        const filter = {};
+        const { page = 1, limit = 10 } = matchedData(req, { locations: ['query'] });
+        const { sort = 'newest', rating } = req.query;
 
-        if (query) {
-            filter.$text = { $search: query };
-        }
-        if (category) filter.category = category;
-        if (minPrice || maxPrice) {
-            filter.price = {};
-            if (minPrice) filter.price.$gte = parseFloat(minPrice);
-            if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-        }
-        if (zodiac) filter.whomToUse = { $in: [zodiac] };
-        if (benefits && benefits.length > 0) {
-            filter.benefits = { $in: benefits };
+        const gem = mongoose.isValidObjectId(req.params.id)
+            && await Gem.findById(req.params.id).select('ratingAverage ratingCount');
+
+        if (!gem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
         }
-        if (availability !== undefined) filter.availability = availability;
+
+        // Build filter
+        const filter = { gemId: gem._id, status: 'approved' };
+        if (rating) filter.rating = parseInt(rating);
 
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        // Get gems with pagination
-        const gems = await Gem.find(filter)
-            .select('-description -benefits -whomToUse -certification -origin')
+        const reviews = await Review.find(filter)
+            .populate('userId', 'name')
             .skip(skip)
             .limit(parseInt(limit))
-            .sort({ createdAt: -1 });
+            .sort(REVIEW_SORTS[sort]);
 
-        // Get total count for pagination
-        const totalItems = await Gem.countDocuments(filter);
+        const totalItems = await Review.countDocuments(filter);
         const totalPages = Math.ceil(totalItems / parseInt(limit));
 
+        // Number of approved reviews for each star rating
+        const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        const counts = await Review.aggregate([
+            { $match: { gemId: gem._id, status: 'approved' } },
+            { $group: { _id: '$rating', count: { $sum: 1 } } }
+        ]);
+        counts.forEach(({ _id, count }) => { distribution[_id] = count; });
+
         res.json({
             success: true,
             data: {
-                gems,
+                ratingAverage: gem.ratingAverage,
+                ratingCount: gem.ratingCount,
+                distribution,
+                reviews: reviews.map(reviewDetails),
                 pagination: {
                     currentPage: parseInt(page),
                     totalPages,
@@ -326,115 +545,211 @@ router.post('/search', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Search gems error:', error);
+        console.error('Get reviews error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during gems search'
+            message: 'Server error during reviews retrieval'
         });
     }
 });
 
-// @route   GET /api/gems/categories
-// @desc    Get all gem categories
-// @access  Public
-router.get('/categories', async (req, res) => {
+// @route   POST /api/gems/:id/reviews
+// @desc    Review a gem from a delivered order, with up to 5 photos in the "photos" field
+// @access  Private
+router.post('/:id/reviews', protect, uploadReviewPhotos, [
+    body('rating')
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Rating must be between 1 and 5')
+        .toInt(),
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Title cannot be more than 100 characters'),
+    body('text')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Review cannot be more than 2000 characters')
+], async (req, res) => {
     try {
-        const categories = await Gem.distinct('category');
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
 
-        res.json({
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
+        }
+
+        const { rating, title, text } = req.body;
+        const review = await createReview(req.user, req.params.id, { rating, title, text }, req.files);
+
+        res.status(201).json({
             success: true,
-            data: categories
+            message: 'Review submitted and awaiting moderation',
+            data: reviewDetails(await review.populate('userId', 'name'))
         });
 
     } catch (error) {
-        console.error('Get categories error:', error);
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Create review error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during categories retrieval'
+            message: 'Server error during review creation'
         });
     }
 });
 
-// @route   GET /api/gems/category/:category
-// @desc    Get gems by category
-// @access  Public
-router.get('/category/:category', async (req, res) => {
+// @route   POST /api/gems/:id/images
+// @desc    Upload images for a gem
+// @access  Private (staff, admin)
+router.post('/:id/images', protect, authorize('staff', 'admin'), uploadGemImages, async (req, res) => {
     try {
-        const { category } = req.params;
-        const { page = 1, limit = 10 } = req.query;
+        const gem = mongoose.isValidObjectId(req.params.id) && await Gem.findById(req.params.id);
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        if (!gem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
+        }
 
-        const gems = await Gem.find({ category })
-            .select('-description -benefits -whomToUse -certification -origin')
-            .skip(skip)
-            .limit(parseInt(limit))
-            .sort({ createdAt: -1 });
+        const urls = await addImages(gem, req.files);
 
-        const totalItems = await Gem.countDocuments({ category });
-        const totalPages = Math.ceil(totalItems / parseInt(limit));
+        res.status(201).json({
+            success: true,
+            message: 'Images uploaded successfully',
+            data: {
+                uploaded: urls,
+                uploadedImages: gem.uploadedImages,
+                thumbnails: gem.thumbnails,
+                allImages: gem.allImages
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Upload gem images error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during image upload'
+        });
+    }
+});
+
+// @route   PUT /api/gems/:id/images/order
+// @desc    Reorder a gem's uploaded images
+// @access  Private (staff, admin)
+router.put('/:id/images/order', protect, authorize('staff', 'admin'), [
+    body('order')
+        .isArray({ min: 1 })
+        .withMessage('Order must be a list of uploaded image URLs')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const gem = mongoose.isValidObjectId(req.params.id) && await Gem.findById(req.params.id);
+
+        if (!gem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
+        }
+
+        await reorderImages(gem, req.body.order);
 
         res.json({
             success: true,
+            message: 'Images reordered successfully',
             data: {
-                gems,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages,
-                    totalItems,
-                    hasNext: parseInt(page) < totalPages,
-                    hasPrev: parseInt(page) > 1
-                }
+                uploadedImages: gem.uploadedImages,
+                thumbnails: gem.thumbnails,
+                allImages: gem.allImages
             }
         });
 
     } catch (error) {
-        console.error('Get gems by category error:', error);
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Reorder gem images error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during gems retrieval'
+            message: 'Server error during image reordering'
         });
     }
 });
 
-// @route   GET /api/gems/zodiac/:zodiacSign
-// @desc    Get gems by zodiac sign
-// @access  Public
-router.get('/zodiac/:zodiacSign', async (req, res) => {
+// @route   DELETE /api/gems/:id/images/:filename
+// @desc    Delete an uploaded gem image
+// @access  Private (staff, admin)
+router.delete('/:id/images/:filename', protect, authorize('staff', 'admin'), async (req, res) => {
     try {
-        const { zodiacSign } = req.params;
-        const { page = 1, limit = 10 } = req.query;
+        const gem = mongoose.isValidObjectId(req.params.id) && await Gem.findById(req.params.id);
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const gems = await Gem.find({ whomToUse: { $in: [zodiacSign] } })
-            .select('-description -benefits -whomToUse -certification -origin')
-            .skip(skip)
-            .limit(parseInt(limit))
-            .sort({ createdAt: -1 });
+        if (!gem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
+        }
 
-        const totalItems = await Gem.countDocuments({ whomToUse: { $in: [zodiacSign] } });
-        const totalPages = Math.ceil(totalItems / parseInt(limit));
+        await removeImage(gem, req.params.filename);
 
         res.json({
             success: true,
+            message: 'Image deleted successfully',
             data: {
-                gems,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages,
-                    totalItems,
-                    hasNext: parseInt(page) < totalPages,
-                    hasPrev: parseInt(page) > 1
-                }
+                uploadedImages: gem.uploadedImages,
+                thumbnails: gem.thumbnails,
+                allImages: gem.allImages
             }
         });
 
     } catch (error) {
-        console.error('Get gems by zodiac error:', error);
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Delete gem image error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during gems retrieval'
+            message: 'Server error during image deletion'
         });
     }
 });
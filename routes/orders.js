@@ -1,17 +1,68 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, matchedData, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const OrderItem = require('../models/OrderItem');
-const CartItem = require('../models/CartItem');
-const Gem = require('../models/Gem');
-const { protect } = require('../middleware/auth');
+const { protectUserOrGuest, protect, authorize, getOwner, getActor, requireVerifiedEmail } = require('../middleware/auth');
+const ApiError = require('../utils/ApiError');
+const { addressValidation, normalizePhone } = require('../utils/validators');
+const { createOrder, checkoutCart, updateOrderStatus, cancelOrder } = require('../services/orderService');
+const { startOrderPayment, retryPayment } = require('../services/paymentService');
+const { refundOrder, refundCancelledOrder, refundDetails } = require('../services/refundService');
+const { requestReturn } = require('../services/returnService');
+const ReturnRequest = require('../models/ReturnRequest');
+const Refund = require('../models/Refund');
+const Invoice = require('../models/Invoice');
+const { renderInvoicePdf } = require('../services/invoicePdf');
 
 const router = express.Router();
 
+// Statuses staff can set directly; return and refund states are driven by their own endpoints
+const FULFILMENT_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Use a saved address when addressId is given, otherwise the inline shipping address
+const resolveShippingAddress = (req) => {
+    const { addressId, shippingAddress } = req.body;
+
+    if (!addressId) {
+        return shippingAddress;
+    }
+
+    const address = req.user && req.user.addresses.id(addressId);
+
+    if (!address) {
+        throw new ApiError(404, 'Address not found');
+    }
+
+    const { firstName, lastName, email, phone, address: street, city, state, pincode } = address;
+    return { firstName, lastName, email, phone, address: street, city, state, pincode };
+};
+
+// Shipping, payment, coupon and price-check fields shared by every order creation route
+const orderDetailsValidation = [
+    body('expectedTotal')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Expected total must be a positive number'),
+    body('addressId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid address ID is required'),
+    ...addressValidation('shippingAddress.', { when: body('addressId').not().exists() }),
+    body('paymentMethod')
+        .isIn(['cod', 'online', 'card', 'upi'])
+        .withMessage('Valid payment method is required'),
+    body('couponCode')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage('Coupon code cannot be more than 30 characters')
+];
+
 // @route   POST /api/orders
 // @desc    Create a new order
-// @access  Private
-router.post('/', protect, [
+// @access  Private (user with verified email, or guest)
+router.post('/', protectUserOrGuest, requireVerifiedEmail, [
     body('items')
         .isArray({ min: 1 })
         .withMessage('At least one item is required'),
@@ -21,44 +72,7 @@ router.post('/', protect, [
     body('items.*.quantity')
         .isInt({ min: 1 })
         .withMessage('Quantity must be at least 1'),
-    body('items.*.price')
-        .isNumeric()
-        .isFloat({ min: 0 })
-        .withMessage('Price must be a positive number'),
-    body('shippingAddress.firstName')
-        .trim()
-        .isLength({ min: 1 })
-        .withMessage('First name is required'),
-    body('shippingAddress.lastName')
-        .trim()
-        .isLength({ min: 1 })
-        .withMessage('Last name is required'),
-    body('shippingAddress.email')
-        .isEmail()
-        .withMessage('Valid email is required'),
-    body('shippingAddress.phone')
-        .trim()
-        .isLength({ min: 1 })
-        .withMessage('Phone number is required'),
-    body('shippingAddress.address')
-        .trim()
-        .isLength({ min: 1 })
-        .withMessage('Address is required'),
-    body('shippingAddress.city')
-        .trim()
-        .isLength({ min: 1 })
-        .withMessage('City is required'),
-    body('shippingAddress.state')
-        .trim()
-        .isLength({ min: 1 })
-        .withMessage('State is required'),
-    body('shippingAddress.pincode')
-        .trim()
-        .isLength({ min: 1 })
-        .withMessage('Pincode is required'),
-    body('paymentMethod')
-        .isIn(['cod', 'online', 'card', 'upi'])
-        .withMessage('Valid payment method is required')
+    ...orderDetailsValidation
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -70,109 +84,204 @@ router.post('/', protect, [
             });
         }
 
-        const { items, shippingAddress, paymentMethod, orderNotes } = req.body;
-        const userId = req.user._id;
+        const { items, paymentMethod, orderNotes, expectedTotal, couponCode } = req.body;
+        const owner = getOwner(req);
+        const shippingAddress = resolveShippingAddress(req);
+
+        const order = await createOrder(owner, {
+            items,
+            shippingAddress,
+            paymentMethod,
+            orderNotes,
+            expectedTotal,
+            couponCode,
+            actor: getActor(req)
+        });
+
+        // Online orders are confirmed once the provider reports the payment
+        const payment = paymentMethod === 'cod' ? null : await startOrderPayment(order);
 
-        // Validate all gems exist and are available
-        const gemIds = items.map(item => item.gemId);
-        const gems = await Gem.find({ _id: { $in: gemIds } });
+        res.status(201).json({
+            success: true,
+            message: 'Order created successfully',
+            data: {
+                orderId: order.orderId,
+                status: order.status,
+                subtotal: order.subtotal,
+                discount: order.discount,
+                couponCode: order.couponCode,
+                tax: order.tax,
+                shippingCharge: order.shippingCharge,
+                codCharge: order.codCharge,
+                total: order.total,
+                paymentExpiresAt: order.paymentExpiresAt,
+                payment,
+                createdAt: order.createdAt
+            }
+        });
 
-        if (gems.length !== items.length) {
-            return res.status(400).json({
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'One or more gems not found'
+                message: error.message,
+                ...(error.data && { data: error.data })
             });
         }
 
-        // Check stock availability
-        for (const item of items) {
-            const gem = gems.find(g => g._id.toString() === item.gemId);
-            if (!gem.availability || gem.stock < item.quantity) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Insufficient stock for ${gem.name}`
-                });
-            }
+        console.error('Create order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during order creation'
+        });
+    }
+});
+
+// @route   POST /api/orders/checkout
+// @desc    Create an order from the user's or guest's cart
+// @access  Private (user with verified email, or guest)
+router.post('/checkout', protectUserOrGuest, requireVerifiedEmail, orderDetailsValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
         }
 
-        // Calculate total
-        const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+        const { paymentMethod, orderNotes, expectedTotal, couponCode } = req.body;
+        const owner = getOwner(req);
+        const shippingAddress = resolveShippingAddress(req);
 
-        // Create order
-        const order = new Order({
-            userId,
-            total,
+        const { order, unavailableItems } = await checkoutCart(owner, {
             shippingAddress,
             paymentMethod,
-            orderNotes
+            orderNotes,
+            expectedTotal,
+            couponCode,
+            actor: getActor(req)
         });
 
-        await order.save();
-
-        // Create order items
-        const orderItems = items.map(item => ({
-            orderId: order._id,
-            gemId: item.gemId,
-            quantity: item.quantity,
-            price: item.price
-        }));
-
-        await OrderItem.insertMany(orderItems);
-
-        // Update gem stock
-        for (const item of items) {
-            await Gem.findByIdAndUpdate(
-                item.gemId,
-                { $inc: { stock: -item.quantity } }
-            );
-        }
-
-        // Clear user's cart
-        await CartItem.deleteMany({ userId });
+        const payment = paymentMethod === 'cod' ? null : await startOrderPayment(order);
 
         res.status(201).json({
             success: true,
-            message: 'Order created successfully',
+            message: unavailableItems.length > 0
+                ? 'Order created, some cart items could not be ordered'
+                : 'Order created successfully',
             data: {
                 orderId: order.orderId,
                 status: order.status,
+                subtotal: order.subtotal,
+                discount: order.discount,
+                couponCode: order.couponCode,
+                tax: order.tax,
+                shippingCharge: order.shippingCharge,
+                codCharge: order.codCharge,
                 total: order.total,
-                createdAt: order.createdAt
+                paymentExpiresAt: order.paymentExpiresAt,
+                payment,
+                createdAt: order.createdAt,
+                unavailableItems
             }
         });
 
     } catch (error) {
-        console.error('Create order error:', error);
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...(error.data && { data: error.data })
+            });
+        }
+
+        console.error('Checkout error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during order creation'
+            message: 'Server error during checkout'
+        });
+    }
+});
+
+// Orders whose invoices the requester can see: staff and admins see any order
+const documentOrderFilter = (req) => {
+    if (req.user && ['staff', 'admin'].includes(req.user.role)) {
+        return { orderId: req.params.orderId };
+    }
+    return { orderId: req.params.orderId, ...getOwner(req) };
+};
+
+// Send an invoice or credit note as a PDF download, or as JSON with ?format=json
+const sendInvoiceDocument = async (res, document, order, format) => {
+    if (format === 'json') {
+        return res.json({
+            success: true,
+            data: document
         });
     }
+
+    const pdf = await renderInvoicePdf(document, order);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${document.number}.pdf"`
+    });
+    res.send(pdf);
+};
+
+const documentFormatValidation = query('format')
+    .optional()
+    .isIn(['pdf', 'json'])
+    .withMessage('Format must be either pdf or json');
+
+// Order fields returned by the detail endpoints
+const orderDetails = (order, items) => ({
+    id: order._id,
+    orderId: order.orderId,
+    status: order.status,
+    subtotal: order.subtotal,
+    discount: order.discount,
+    couponCode: order.couponCode,
+    tax: order.tax,
+    shippingCharge: order.shippingCharge,
+    shippingZone: order.shippingZone,
+    codCharge: order.codCharge,
+    total: order.total,
+    items,
+    shippingAddress: order.shippingAddress,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    paidAt: order.paidAt,
+    paymentExpiresAt: order.paymentExpiresAt,
+    invoiceNumber: order.invoiceNumber,
+    orderNotes: order.orderNotes,
+    trackingNumber: order.trackingNumber,
+    carrier: order.carrier,
+    shippedAt: order.shippedAt,
+    deliveredAt: order.deliveredAt,
+    statusHistory: order.statusHistory,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
 });
 
 // @route   GET /api/orders
-// @desc    Get user's orders
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @desc    Get user's or guest's orders
+// @access  Private (user or guest)
+router.get('/', protectUserOrGuest, async (req, res) => {
     try {
-        const userId = req.user._id;
+        const owner = getOwner(req);
         const { page = 1, limit = 10, status } = req.query;
 
         // Build filter
-        const filter = { userId };
+        const filter = { ...owner };
         if (status) filter.status = status;
 
         // Calculate pagination
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const orders = await Order.find(filter)
-            .populate({
-                path: 'items',
-                populate: {
-                    path: 'gemId',
-                    select: 'name price images'
-                }
-            })
             .skip(skip)
             .limit(parseInt(limit))
             .sort({ createdAt: -1 });
@@ -221,15 +330,176 @@ router.get('/', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/orders/admin
+// @desc    Get all orders with filters
+// @access  Private (staff, admin)
+router.get('/admin', protect, authorize('staff', 'admin'), [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+    query('status')
+        .optional()
+        .isIn(Object.keys(Order.STATUS_TRANSITIONS))
+        .withMessage('Invalid order status'),
+    query('userId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid user ID is required'),
+    query('guestPhone')
+        .optional()
+        .isString()
+        .withMessage('Guest phone must be a phone number')
+        .customSanitizer(normalizePhone),
+    query('paymentMethod')
+        .optional()
+        .isIn(['cod', 'online', 'card', 'upi'])
+        .withMessage('Invalid payment method'),
+    query('orderId')
+        .optional()
+        .isString()
+        .withMessage('Order ID must be a string')
+        .trim(),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('From must be a date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('To must be a date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            page = 1,
+            limit = 20,
+            status,
+            userId,
+            guestPhone,
+            paymentMethod,
+            orderId,
+            from,
+            to
+        } = matchedData(req, { locations: ['query'] });
+
+        // Build filter
+        const filter = {};
+        if (status) filter.status = status;
+        if (userId) filter.userId = userId;
+        if (guestPhone) filter.guestPhone = guestPhone;
+        if (paymentMethod) filter.paymentMethod = paymentMethod;
+        if (orderId) filter.orderId = orderId;
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const orders = await Order.find(filter)
+            .populate('userId', 'name email phone')
+            .skip(skip)
+            .limit(parseInt(limit))
+            .sort({ createdAt: -1 });
+
+        const totalItems = await Order.countDocuments(filter);
+        const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                orders: orders.map(order => ({
+                    id: order._id,
+                    orderId: order.orderId,
+                    status: order.status,
+                    total: order.total,
+                    customer: order.userId,
+                    guestPhone: order.guestPhone,
+                    paymentMethod: order.paymentMethod,
+                    paymentStatus: order.paymentStatus,
+                    trackingNumber: order.trackingNumber,
+                    createdAt: order.createdAt,
+                    updatedAt: order.updatedAt
+                })),
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems,
+                    hasNext: parseInt(page) < totalPages,
+                    hasPrev: parseInt(page) > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during orders retrieval'
+        });
+    }
+});
+
+// @route   GET /api/orders/admin/:orderId
+// @desc    Get any order by ID
+// @access  Private (staff, admin)
+router.get('/admin/:orderId', protect, authorize('staff', 'admin'), async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderId: req.params.orderId })
+            .populate('userId', 'name email phone');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const orderItems = await OrderItem.find({ orderId: order._id })
+            .populate('gemId', 'name price images');
+
+        res.json({
+            success: true,
+            data: {
+                ...orderDetails(order, orderItems),
+                customer: order.userId,
+                guestPhone: order.guestPhone
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during order retrieval'
+        });
+    }
+});
+
 // @route   GET /api/orders/:orderId
 // @desc    Get order by ID
-// @access  Private
-router.get('/:orderId', protect, async (req, res) => {
+// @access  Private (user or guest)
+router.get('/:orderId', protectUserOrGuest, async (req, res) => {
     try {
         const { orderId } = req.params;
-        const userId = req.user._id;
+        const owner = getOwner(req);
 
-        const order = await Order.findOne({ orderId, userId });
+        const order = await Order.findOne({ orderId, ...owner });
 
         if (!order) {
             return res.status(404).json({
@@ -243,38 +513,253 @@ router.get('/:orderId', protect, async (req, res) => {
 
         res.json({
             success: true,
+            data: orderDetails(order, orderItems)
+        });
+
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during order retrieval'
+        });
+    }
+});
+
+// @route   POST /api/orders/:orderId/payment
+// @desc    Start a new payment attempt for an unpaid online order
+// @access  Private (user or guest)
+router.post('/:orderId/payment', protectUserOrGuest, async (req, res) => {
+    try {
+        const payment = await retryPayment(getOwner(req), req.params.orderId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment started',
+            data: payment
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Retry payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during payment start'
+        });
+    }
+});
+
+// @route   PUT /api/orders/:orderId/status
+// @desc    Move an order to its next status
+// @access  Private (staff, admin)
+router.put('/:orderId/status', protect, authorize('staff', 'admin'), [
+    body('status')
+        .isIn(FULFILMENT_STATUSES)
+        .withMessage(`Status must be one of ${FULFILMENT_STATUSES.join(', ')}`),
+    body('trackingNumber')
+        .if(body('status').equals('shipped'))
+        .trim()
+        .notEmpty()
+        .withMessage('Tracking number is required to ship an order'),
+    body('carrier')
+        .if(body('status').equals('shipped'))
+        .trim()
+        .notEmpty()
+        .withMessage('Carrier is required to ship an order'),
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { status, trackingNumber, carrier, note } = req.body;
+
+        const actor = getActor(req);
+
+        const order = await updateOrderStatus(req.params.orderId, status, {
+            actor,
+            note,
+            trackingNumber,
+            carrier
+        });
+
+        // Give the money back when a paid order is cancelled
+        const refund = await refundCancelledOrder(order, actor);
+
+        res.json({
+            success: true,
+            message: `Order marked as ${status}`,
             data: {
-                id: order._id,
                 orderId: order.orderId,
                 status: order.status,
-                total: order.total,
-                items: orderItems,
-                shippingAddress: order.shippingAddress,
-                paymentMethod: order.paymentMethod,
                 trackingNumber: order.trackingNumber,
-                createdAt: order.createdAt,
-                updatedAt: order.updatedAt
+                carrier: order.carrier,
+                statusHistory: order.statusHistory,
+                refund: refundDetails(refund)
             }
         });
 
     } catch (error) {
-        console.error('Get order error:', error);
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Update order status error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during order retrieval'
+            message: 'Server error during order status update'
         });
     }
 });
 
 // @route   PUT /api/orders/:orderId/cancel
 // @desc    Cancel an order
-// @access  Private
-router.put('/:orderId/cancel', protect, async (req, res) => {
+// @access  Private (user or guest)
+router.put('/:orderId/cancel', protectUserOrGuest, [
+    body('reason')
+        .optional()
+        .isString()
+        .withMessage('Reason must be text')
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { orderId } = req.params;
-        const userId = req.user._id;
+        const owner = getOwner(req);
+
+        const actor = getActor(req);
+
+        const order = await cancelOrder(owner, orderId, {
+            actor,
+            note: req.body.reason
+        });
+
+        const refund = await refundCancelledOrder(order, actor);
+
+        res.json({
+            success: true,
+            message: 'Order cancelled successfully',
+            data: {
+                refund: refundDetails(refund)
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during order cancellation'
+        });
+    }
+});
+
+// @route   POST /api/orders/:orderId/returns
+// @desc    Request a return for items of a delivered order
+// @access  Private (user or guest)
+router.post('/:orderId/returns', protectUserOrGuest, [
+    body('items')
+        .isArray({ min: 1 })
+        .withMessage('At least one item is required'),
+    body('items.*.orderItemId')
+        .isMongoId()
+        .withMessage('Valid order item ID is required'),
+    body('items.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be at least 1')
+        .toInt(),
+    body('items.*.reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot be more than 500 characters'),
+    body('reason')
+        .trim()
+        .notEmpty()
+        .withMessage('Reason is required')
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { items, reason } = req.body;
+
+        const returnRequest = await requestReturn(getOwner(req), req.params.orderId, {
+            items,
+            reason,
+            actor: getActor(req)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Return requested successfully',
+            data: returnRequest
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
 
-        const order = await Order.findOne({ orderId, userId });
+        console.error('Request return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during return request'
+        });
+    }
+});
+
+// @route   GET /api/orders/:orderId/returns
+// @desc    Get return requests and refunds of an order
+// @access  Private (user or guest)
+router.get('/:orderId/returns', protectUserOrGuest, async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderId: req.params.orderId, ...getOwner(req) });
 
         if (!order) {
             return res.status(404).json({
@@ -283,44 +768,224 @@ router.put('/:orderId/cancel', protect, async (req, res) => {
             });
         }
 
-        if (order.status === 'cancelled') {
+        const [returns, refunds] = await Promise.all([
+            ReturnRequest.find({ orderId: order._id }).sort({ createdAt: -1 }),
+            Refund.find({ orderId: order._id }).sort({ createdAt: -1 })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                returns,
+                refunds: refunds.map(refundDetails)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get returns error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during returns retrieval'
+        });
+    }
+});
+
+// @route   GET /api/orders/:orderId/invoice
+// @desc    Get the tax invoice of an order as a PDF, or JSON with ?format=json
+// @access  Private (user or guest who placed the order, staff, admin)
+router.get('/:orderId/invoice', protectUserOrGuest, documentFormatValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Order is already cancelled'
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findOne(documentOrderFilter(req));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
             });
         }
 
-        if (['shipped', 'delivered'].includes(order.status)) {
-            return res.status(400).json({
+        const invoice = await Invoice.findOne({ orderId: order._id, type: 'invoice' });
+
+        if (!invoice) {
+            return res.status(404).json({
                 success: false,
-                message: 'Cannot cancel order that has been shipped or delivered'
+                message: 'Invoice is issued when the order is confirmed'
             });
         }
 
-        // Update order status
-        order.status = 'cancelled';
-        await order.save();
+        await sendInvoiceDocument(res, invoice, order, req.query.format);
+
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during invoice retrieval'
+        });
+    }
+});
 
-        // Restore stock
-        const orderItems = await OrderItem.find({ orderId: order._id });
+// @route   GET /api/orders/:orderId/credit-notes
+// @desc    Get the credit notes issued against an order's invoice
+// @access  Private (user or guest who placed the order, staff, admin)
+router.get('/:orderId/credit-notes', protectUserOrGuest, async (req, res) => {
+    try {
+        const order = await Order.findOne(documentOrderFilter(req));
 
-        for (const item of orderItems) {
-            await Gem.findByIdAndUpdate(
-                item.gemId,
-                { $inc: { stock: item.quantity } }
-            );
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
         }
 
+        const creditNotes = await Invoice.find({ orderId: order._id, type: 'credit_note' })
+            .sort({ issuedAt: 1 });
+
         res.json({
             success: true,
-            message: 'Order cancelled successfully'
+            data: creditNotes
         });
 
     } catch (error) {
-        console.error('Cancel order error:', error);
+        console.error('Get credit notes error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error during order cancellation'
+            message: 'Server error during credit notes retrieval'
+        });
+    }
+});
+
+// @route   GET /api/orders/:orderId/credit-notes/:number
+// @desc    Get a credit note as a PDF, or JSON with ?format=json
+// @access  Private (user or guest who placed the order, staff, admin)
+router.get('/:orderId/credit-notes/:number', protectUserOrGuest, documentFormatValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findOne(documentOrderFilter(req));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const creditNote = await Invoice.findOne({
+            orderId: order._id,
+            type: 'credit_note',
+            number: req.params.number
+        });
+
+        if (!creditNote) {
+            return res.status(404).json({
+                success: false,
+                message: 'Credit note not found'
+            });
+        }
+
+        await sendInvoiceDocument(res, creditNote, order, req.query.format);
+
+    } catch (error) {
+        console.error('Get credit note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during credit note retrieval'
+        });
+    }
+});
+
+// @route   POST /api/orders/:orderId/refund
+// @desc    Refund a cancelled or returned order, e.g. to retry a failed refund
+// @access  Private (staff, admin)
+router.post('/:orderId/refund', protect, authorize('staff', 'admin'), [
+    body('amount')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Amount must be a positive number')
+        .toFloat(),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const order = await Order.findOne({ orderId: req.params.orderId });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // A partly returned order is back to delivered; only its approved returns can be refunded
+        let refundable = order.total - order.refundedAmount;
+        if (order.status === 'delivered') {
+            const approved = await ReturnRequest.find({ orderId: order._id, status: 'approved' }).select('refundAmount');
+            refundable = approved.reduce((sum, returnRequest) => sum + returnRequest.refundAmount, 0) - order.refundedAmount;
+        }
+
+        const partlyReturned = order.status === 'delivered' && refundable > 0;
+        if (!['cancelled', 'returned', 'refunded'].includes(order.status) && !partlyReturned) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only cancelled or returned orders can be refunded'
+            });
+        }
+
+        const { amount = refundable, reason } = req.body;
+
+        const refund = await refundOrder(order, {
+            amount,
+            reason: reason || 'Manual refund',
+            actor: getActor(req)
+        });
+
+        res.status(refund.status === 'failed' ? 502 : 201).json({
+            success: refund.status !== 'failed',
+            message: refund.status === 'failed' ? 'Refund failed' : 'Refund issued successfully',
+            data: refundDetails(refund)
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Refund order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during refund'
         });
     }
 });
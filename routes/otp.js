@@ -1,19 +1,47 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const jwt = require('jsonwebtoken');
 const OTPSession = require('../models/OTPSession');
-const { generateToken } = require('../middleware/auth');
+const { generateGuestToken } = require('../middleware/auth');
+const { sendSms } = require('../services/sms');
+const { safeEqual } = require('../utils/crypto');
+const { normalizePhone } = require('../utils/validators');
 
 const router = express.Router();
 
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN || '60');
+
+const otpLimitMessage = {
+    success: false,
+    message: 'Too many OTP requests, please try again later.'
+};
+
+// Limit OTP sends per IP address
+const ipSendLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: parseInt(process.env.OTP_MAX_SENDS_PER_IP || '10'),
+    message: otpLimitMessage
+});
+
+// Limit OTP sends per phone number - must run after the phoneNumber validator normalises it,
+// so differently typed forms of one number share a limit
+const phoneSendLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: parseInt(process.env.OTP_MAX_SENDS_PER_PHONE || '5'),
+    keyGenerator: (req) => `phone:${req.body.phoneNumber}`,
+    message: otpLimitMessage
+});
+
 // @route   POST /api/otp/send
 // @desc    Send OTP to phone number
 // @access  Public
-router.post('/send', [
+router.post('/send', ipSendLimiter, [
     body('phoneNumber')
-        .trim()
-        .matches(/^\+?[1-9]\d{1,14}$/)
+        .customSanitizer(normalizePhone)
+        .matches(/^\+[1-9]\d{7,14}$/)
         .withMessage('Please enter a valid phone number')
-], async (req, res) => {
+], phoneSendLimiter, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -26,35 +54,66 @@ router.post('/send', [
 
         const { phoneNumber } = req.body;
 
-        // Generate 6-digit OTP
-        const otp = Math.floor(100000 + Math.random() * 900000).toString();
-
         // Check if there's an existing session for this phone number
-        const existingSession = await OTPSession.findOne({ phoneNumber });
-
-        if (existingSession) {
-            // Update existing session
-            existingSession.otp = otp;
-            existingSession.expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-            existingSession.attempts = 0;
-            existingSession.verified = false;
-            await existingSession.save();
-        } else {
-            // Create new session
-            const otpSession = new OTPSession({
-                phoneNumber,
-                otp,
-                expiresAt: new Date(Date.now() + 5 * 60 * 1000) // 5 minutes
+        let session = await OTPSession.findOne({ phoneNumber });
+
+        if (session && session.isLocked()) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed attempts, this phone number is temporarily locked',
+                lockedUntil: session.lockedUntil
             });
-            await otpSession.save();
         }
 
-        // In a real application, you would send the OTP via SMS service
-        // For development, we'll just log it
-        console.log(`OTP for ${phoneNumber}: ${otp}`);
+        // Enforce a cooldown between resends
+        if (session && session.lastSentAt) {
+            const retryAfter = Math.ceil(
+                (session.lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000
+            );
+
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: `Please wait ${retryAfter} seconds before requesting a new OTP`,
+                    retryAfter
+                });
+            }
+        }
+
+        // Reuse the phone's session so failed attempts carry over across resends
+        if (!session) {
+            session = new OTPSession({ phoneNumber });
+        }
+
+        const otp = session.issueOtp();
+        session.lastSentAt = new Date();
+        session.deliveryStatus = 'pending';
+        session.providerMessageId = undefined;
+        session.deliveryError = undefined;
+        await session.save();
+
+        try {
+            const result = await sendSms({
+                to: phoneNumber,
+                body: `${otp} is your verification code. It expires in ${OTPSession.OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+            });
+
+            session.deliveryStatus = result.status === 'delivered' ? 'delivered' : 'sent';
+            session.providerMessageId = result.id;
+            await session.save();
+        } catch (error) {
+            console.error('OTP SMS delivery error:', error);
 
-        // Find the session to get sessionId
-        const session = await OTPSession.findOne({ phoneNumber });
+            session.deliveryStatus = 'failed';
+            session.deliveryError = error.message;
+            await session.save();
+
+            return res.status(502).json({
+                success: false,
+                message: 'Failed to send OTP, please try again'
+            });
+        }
 
         res.json({
             success: true,
@@ -74,13 +133,65 @@ router.post('/send', [
     }
 });
 
+// @route   POST /api/otp/delivery-status
+// @desc    Delivery report callback from the SMS provider
+// @access  Provider (X-Webhook-Secret header)
+router.post('/delivery-status', [
+    body('id')
+        .isString()
+        .notEmpty()
+        .withMessage('Message ID is required'),
+    body('status')
+        .isIn(['sent', 'delivered', 'failed'])
+        .withMessage('Status must be sent, delivered or failed')
+], async (req, res) => {
+    try {
+        if (!process.env.SMS_WEBHOOK_SECRET || !safeEqual(req.get('X-Webhook-Secret') || '', process.env.SMS_WEBHOOK_SECRET)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook secret'
+            });
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id, status, error } = req.body;
+
+        await OTPSession.updateOne(
+            { providerMessageId: id },
+            {
+                deliveryStatus: status,
+                ...(status === 'failed' && { deliveryError: error || 'Delivery failed' })
+            }
+        );
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        console.error('OTP delivery status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during delivery status update'
+        });
+    }
+});
+
 // @route   POST /api/otp/verify
 // @desc    Verify OTP and create temporary session
 // @access  Public
 router.post('/verify', [
     body('phoneNumber')
-        .trim()
-        .matches(/^\+?[1-9]\d{1,14}$/)
+        .customSanitizer(normalizePhone)
+        .matches(/^\+[1-9]\d{7,14}$/)
         .withMessage('Please enter a valid phone number'),
     body('otp')
         .trim()
@@ -105,60 +216,91 @@ router.post('/verify', [
         const { phoneNumber, otp, sessionId } = req.body;
 
         // Find the OTP session
-        const otpSession = await OTPSession.findOne({
-            phoneNumber,
-            sessionId,
-            expiresAt: { $gt: new Date() }
-        });
+        const existingSession = await OTPSession.findOne({ phoneNumber, sessionId });
 
-        if (!otpSession) {
+        if (!existingSession || existingSession.expiresAt <= new Date()) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid or expired OTP session'
             });
         }
 
+        if (existingSession.isLocked()) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed attempts, this phone number is temporarily locked',
+                lockedUntil: existingSession.lockedUntil
+            });
+        }
+
         // Check if already verified
-        if (otpSession.verified) {
+        if (existingSession.verified) {
             return res.status(400).json({
                 success: false,
                 message: 'OTP already verified'
             });
         }
 
-        // Check attempts limit
-        if (otpSession.attempts >= 3) {
+        // Claim an attempt atomically so parallel guesses can't exceed the limit
+        const otpSession = await OTPSession.findOneAndUpdate(
+            {
+                _id: existingSession._id,
+                sessionId,
+                verified: false,
+                attempts: { $lt: OTPSession.MAX_ATTEMPTS_PER_OTP }
+            },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+
+        if (!otpSession) {
             return res.status(400).json({
                 success: false,
-                message: 'Maximum verification attempts exceeded'
+                message: 'Maximum verification attempts exceeded, please request a new OTP'
             });
         }
 
         // Verify OTP
-        if (otpSession.otp !== otp) {
-            otpSession.attempts += 1;
-            await otpSession.save();
+        if (!otpSession.matchesOtp(otp)) {
+            const failedAttempts = otpSession.failedAttempts + 1;
+            const update = { $inc: { failedAttempts: 1 } };
+
+            // Lock the phone number after too many failures across all OTPs sent to it
+            if (failedAttempts >= OTPSession.MAX_FAILED_ATTEMPTS) {
+                const lockedUntil = new Date(Date.now() + OTPSession.LOCKOUT_HOURS * 60 * 60 * 1000);
+                update.$set = {
+                    lockedUntil,
+                    purgeAt: new Date(Math.max(
+                        lockedUntil.getTime(),
+                        Date.now() + OTPSession.RETENTION_HOURS * 60 * 60 * 1000
+                    ))
+                };
+            }
+
+            await OTPSession.updateOne({ _id: otpSession._id }, update);
 
             return res.status(400).json({
                 success: false,
                 message: 'Invalid OTP',
-                attemptsLeft: 3 - otpSession.attempts
+                attemptsLeft: OTPSession.MAX_ATTEMPTS_PER_OTP - otpSession.attempts
             });
         }
 
-        // Mark as verified
-        otpSession.verified = true;
-        await otpSession.save();
+        // Mark as verified; the failure count starts over after a successful login
+        await OTPSession.updateOne(
+            { _id: otpSession._id },
+            { verified: true, failedAttempts: 0 }
+        );
 
-        // Generate temporary token (expires in 30 minutes)
-        const tempToken = generateToken({ phoneNumber, temp: true }, '30m');
+        // Generate guest token for cart and checkout (expires in 30 minutes by default)
+        const tempToken = generateGuestToken(phoneNumber);
 
         res.json({
             success: true,
             message: 'OTP verified successfully',
             data: {
                 tempToken,
-                expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
+                expiresAt: new Date(jwt.decode(tempToken).exp * 1000)
             }
         });
 
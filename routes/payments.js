@@ -0,0 +1,49 @@
+const express = require('express');
+const { getPaymentProvider } = require('../services/payments');
+const { handlePaymentEvent } = require('../services/paymentService');
+const ApiError = require('../utils/ApiError');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook
+// @desc    Payment result callback from the payment provider
+// @access  Provider (signed request)
+router.post('/webhook', async (req, res) => {
+    try {
+        let event;
+        try {
+            event = getPaymentProvider().parseWebhook(req.rawBody, req.headers);
+        } catch (error) {
+            console.error('Parse payment webhook error:', error);
+        }
+
+        if (!event) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        await handlePaymentEvent(event);
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during payment update'
+        });
+    }
+});
+
+module.exports = router;
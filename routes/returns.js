@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ReturnRequest = require('../models/ReturnRequest');
+const { protect, authorize, getActor } = require('../middleware/auth');
+const { approveReturn, rejectReturn } = require('../services/returnService');
+const { refundDetails } = require('../services/refundService');
+const ApiError = require('../utils/ApiError');
+
+const router = express.Router();
+
+const reviewValidation = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid return request ID is required'),
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot be more than 500 characters')
+];
+
+// @route   GET /api/returns
+// @desc    Get return requests
+// @access  Private (staff, admin)
+router.get('/', protect, authorize('staff', 'admin'), [
+    query('status')
+        .optional()
+        .isIn(['requested', 'approved', 'rejected'])
+        .withMessage('Status must be requested, approved or rejected')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, status } = req.query;
+
+        // Build filter
+        const filter = {};
+        if (status) filter.status = status;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const returns = await ReturnRequest.find(filter)
+            .populate('orderId', 'orderId status total paymentMethod userId guestPhone')
+            .populate('items.gemId', 'name images')
+            .skip(skip)
+            .limit(parseInt(limit))
+            .sort({ createdAt: -1 });
+
+        const totalItems = await ReturnRequest.countDocuments(filter);
+        const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                returns,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems,
+                    hasNext: parseInt(page) < totalPages,
+                    hasPrev: parseInt(page) > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get return requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during return requests retrieval'
+        });
+    }
+});
+
+// @route   PUT /api/returns/:id/approve
+// @desc    Approve a return, restock its items and refund them
+// @access  Private (staff, admin)
+router.put('/:id/approve', protect, authorize('staff', 'admin'), [
+    ...reviewValidation,
+    body('restock')
+        .optional()
+        .isBoolean()
+        .withMessage('Restock must be true or false')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { restock = true, note } = req.body;
+
+        const { returnRequest, refund, refundError } = await approveReturn(req.params.id, {
+            restock,
+            note,
+            actor: getActor(req)
+        });
+
+        const refunded = refund && refund.status !== 'failed';
+
+        res.json({
+            success: true,
+            message: refunded
+                ? 'Return approved and refunded'
+                : 'Return approved, but the refund failed',
+            data: {
+                returnRequest,
+                refund: refundDetails(refund),
+                ...(refundError && { refundError })
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Approve return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during return approval'
+        });
+    }
+});
+
+// @route   PUT /api/returns/:id/reject
+// @desc    Reject a return
+// @access  Private (staff, admin)
+router.put('/:id/reject', protect, authorize('staff', 'admin'), reviewValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const returnRequest = await rejectReturn(req.params.id, {
+            note: req.body.note,
+            actor: getActor(req)
+        });
+
+        res.json({
+            success: true,
+            message: 'Return rejected',
+            data: returnRequest
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Reject return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during return rejection'
+        });
+    }
+});
+
+module.exports = router;
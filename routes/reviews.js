@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const { protect, authorize, getActor } = require('../middleware/auth');
+const ApiError = require('../utils/ApiError');
+const { reviewDetails, moderateReview, deleteReview, voteHelpful } = require('../services/reviewService');
+
+const router = express.Router();
+
+const reviewIdValidation = param('id')
+    .isMongoId()
+    .withMessage('Valid review ID is required');
+
+// @route   GET /api/reviews
+// @desc    Get reviews for moderation, oldest first
+// @access  Private (staff, admin)
+router.get('/', protect, authorize('staff', 'admin'), [
+    query('status')
+        .optional()
+        .isIn(['pending', 'approved', 'rejected'])
+        .withMessage('Invalid review status'),
+    query('gemId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid gem ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { page = 1, limit = 20, status = 'pending', gemId } = req.query;
+
+        // Build filter
+        const filter = { status };
+        if (gemId) filter.gemId = gemId;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const reviews = await Review.find(filter)
+            .populate('userId', 'name email')
+            .populate('gemId', 'name')
+            .skip(skip)
+            .limit(parseInt(limit))
+            .sort({ createdAt: 1 });
+
+        const totalItems = await Review.countDocuments(filter);
+        const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                reviews: reviews.map(review => ({
+                    ...reviewDetails(review),
+                    gemId: review.gemId && review.gemId._id,
+                    gemName: review.gemId && review.gemId.name,
+                    customer: review.userId,
+                    moderationNote: review.moderationNote,
+                    moderatedAt: review.moderatedAt
+                })),
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems,
+                    hasNext: parseInt(page) < totalPages,
+                    hasPrev: parseInt(page) > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reviews for moderation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during reviews retrieval'
+        });
+    }
+});
+
+// @route   PUT /api/reviews/:id/moderate
+// @desc    Approve or reject a review
+// @access  Private (staff, admin)
+router.put('/:id/moderate', protect, authorize('staff', 'admin'), [
+    reviewIdValidation,
+    body('status')
+        .isIn(['approved', 'rejected'])
+        .withMessage('Status must be either approved or rejected'),
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const review = await moderateReview(req.params.id, req.body.status, {
+            actor: getActor(req),
+            note: req.body.note
+        });
+
+        res.json({
+            success: true,
+            message: `Review ${review.status}`,
+            data: reviewDetails(review)
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Moderate review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during review moderation'
+        });
+    }
+});
+
+// @route   POST /api/reviews/:id/helpful
+// @desc    Mark a review as helpful
+// @access  Private
+router.post('/:id/helpful', protect, reviewIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const review = await voteHelpful(req.params.id, req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Thanks for your feedback',
+            data: {
+                id: review._id,
+                helpfulCount: review.helpfulCount
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof ApiError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Vote review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during review vote'
+        });
+    }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review
+// @access  Private (author, staff, admin)
+router.delete('/:id', protect, reviewIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        const isModerator = ['staff', 'admin'].includes(req.user.role);
+        if (!isModerator && !review.userId.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this review'
+            });
+        }
+
+        await deleteReview(review);
+
+        res.json({
+            success: true,
+            message: 'Review deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during review deletion'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,441 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { addressValidation } = require('../utils/validators');
+const { createSession, revokeAllSessions } = require('../services/authSessionService');
+
+const router = express.Router();
+
+const MAX_ADDRESSES = 20;
+
+// Profile fields returned to the user themselves
+const profile = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    addresses: user.addresses,
+    createdAt: user.createdAt
+});
+
+// @route   GET /api/users/me
+// @desc    Get current user's profile
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+    res.json({
+        success: true,
+        data: profile(req.user)
+    });
+});
+
+// @route   PUT /api/users/me
+// @desc    Update current user's profile
+// @access  Private
+router.put('/me', protect, [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Name must be between 2 and 50 characters'),
+    body('phone')
+        .optional()
+        .matches(/^\+?[1-9]\d{1,14}$/)
+        .withMessage('Please enter a valid phone number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, phone } = req.body;
+
+        if (phone && phone !== req.user.phone) {
+            const phoneTaken = await User.exists({ phone, _id: { $ne: req.user._id } });
+            if (phoneTaken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Phone number is already in use'
+                });
+            }
+        }
+
+        if (name !== undefined) req.user.name = name;
+        if (phone !== undefined) req.user.phone = phone;
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: profile(req.user)
+        });
+
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during profile update'
+        });
+    }
+});
+
+// @route   PUT /api/users/me/password
+// @desc    Change password after confirming the current one
+// @access  Private
+router.put('/me/password', protect, [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user._id).select('+password');
+
+        const isPasswordMatch = await user.comparePassword(currentPassword);
+
+        if (!isPasswordMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        // End every other session and hand this device a fresh one
+        await revokeAllSessions(user._id, 'password_change');
+        const { token, refreshToken } = await createSession(user, req);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during password change'
+        });
+    }
+});
+
+// @route   GET /api/users/me/addresses
+// @desc    Get saved addresses
+// @access  Private
+router.get('/me/addresses', protect, async (req, res) => {
+    res.json({
+        success: true,
+        data: req.user.addresses
+    });
+});
+
+// @route   POST /api/users/me/addresses
+// @desc    Add a saved address
+// @access  Private
+router.post('/me/addresses', protect, [
+    body('label')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Label cannot be more than 50 characters'),
+    ...addressValidation(),
+    body('isDefault')
+        .optional()
+        .isBoolean()
+        .withMessage('isDefault must be true or false')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (req.user.addresses.length >= MAX_ADDRESSES) {
+            return res.status(400).json({
+                success: false,
+                message: `You can save at most ${MAX_ADDRESSES} addresses`
+            });
+        }
+
+        const { label, firstName, lastName, email, phone, address, city, state, pincode, isDefault } = req.body;
+
+        if (isDefault) {
+            req.user.addresses.forEach(a => {
+                a.isDefault = false;
+            });
+        }
+
+        req.user.addresses.push({
+            label, firstName, lastName, email, phone, address, city, state, pincode,
+            isDefault
+        });
+        await req.user.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Address added successfully',
+            data: req.user.addresses[req.user.addresses.length - 1]
+        });
+
+    } catch (error) {
+        console.error('Add address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during address creation'
+        });
+    }
+});
+
+// @route   PUT /api/users/me/addresses/:addressId
+// @desc    Update a saved address
+// @access  Private
+router.put('/me/addresses/:addressId', protect, [
+    param('addressId')
+        .isMongoId()
+        .withMessage('Valid address ID is required'),
+    body('label')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Label cannot be more than 50 characters'),
+    ...addressValidation('', { optional: true }),
+    body('isDefault')
+        .optional()
+        .isBoolean()
+        .withMessage('isDefault must be true or false')
+        .toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const address = req.user.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        const fields = ['label', 'firstName', 'lastName', 'email', 'phone', 'address', 'city', 'state', 'pincode'];
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) address[field] = req.body[field];
+        });
+
+        if (req.body.isDefault === true) {
+            req.user.addresses.forEach(a => {
+                a.isDefault = a === address;
+            });
+        }
+
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Address updated successfully',
+            data: address
+        });
+
+    } catch (error) {
+        console.error('Update address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during address update'
+        });
+    }
+});
+
+// @route   DELETE /api/users/me/addresses/:addressId
+// @desc    Delete a saved address
+// @access  Private
+router.delete('/me/addresses/:addressId', protect, [
+    param('addressId')
+        .isMongoId()
+        .withMessage('Valid address ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const address = req.user.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        // The model promotes another address if the default one is removed
+        address.deleteOne();
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Address deleted successfully',
+            data: req.user.addresses
+        });
+
+    } catch (error) {
+        console.error('Delete address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during address deletion'
+        });
+    }
+});
+
+// @route   GET /api/users
+// @desc    Get all users
+// @access  Private (admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, role } = req.query;
+
+        // Build filter
+        const filter = {};
+        if (role) filter.role = role;
+
+        // Calculate pagination
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const users = await User.find(filter)
+            .select('name email phone role createdAt')
+            .skip(skip)
+            .limit(parseInt(limit))
+            .sort({ createdAt: -1 });
+
+        const totalItems = await User.countDocuments(filter);
+        const totalPages = Math.ceil(totalItems / parseInt(limit));
+
+        res.json({
+            success: true,
+            data: {
+                users,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages,
+                    totalItems,
+                    hasNext: parseInt(page) < totalPages,
+                    hasPrev: parseInt(page) > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during users retrieval'
+        });
+    }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Promote or demote a user
+// @access  Private (admin)
+router.put('/:id/role', protect, authorize('admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid user ID is required'),
+    body('role')
+        .isIn(['customer', 'staff', 'admin'])
+        .withMessage('Role must be one of customer, staff or admin')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { role } = req.body;
+
+        // Prevent an admin from locking themselves out
+        if (req.user._id.toString() === id && role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own admin role'
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            id,
+            { role },
+            { new: true, runValidators: true }
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User role updated successfully',
+            data: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+
+    } catch (error) {
+        console.error('Update user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during role update'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const WishlistItem = require('../models/WishlistItem');
+const CartItem = require('../models/CartItem');
+const Gem = require('../models/Gem');
+const { protectUserOrGuest, getOwner } = require('../middleware/auth');
+const { gemPricing } = require('../utils/pricing');
+
+const router = express.Router();
+
+const gemIdValidation = param('gemId')
+    .isMongoId()
+    .withMessage('Valid gem ID is required');
+
+// @route   GET /api/wishlist
+// @desc    Get user's wishlist with current prices and availability
+// @access  Private (user or guest)
+router.get('/', protectUserOrGuest, async (req, res) => {
+    try {
+        const owner = getOwner(req);
+
+        // Gems deleted since they were saved are left out
+        const wishlistItems = (await WishlistItem.find(owner)
+            .populate('gemId', 'name price images discount discountType effectivePrice savingsAmount savingsPercent category stock availability')
+            .sort({ createdAt: -1 }))
+            .filter(item => item.gemId);
+
+        const items = wishlistItems.map(item => {
+            const gem = item.gemId;
+            const pricing = gemPricing(gem);
+
+            return {
+                id: item._id,
+                gem: {
+                    id: gem._id,
+                    name: gem.name,
+                    category: gem.category,
+                    price: gem.price,
+                    discount: gem.discount,
+                    discountType: gem.discountType,
+                    ...pricing,
+                    images: gem.images
+                },
+                unitPrice: pricing.effectivePrice,
+                discountAmount: pricing.savingsAmount,
+                inStock: gem.availability && gem.stock > 0,
+                stock: gem.stock,
+                addedAt: item.createdAt
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                items,
+                itemCount: items.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get wishlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during wishlist retrieval'
+        });
+    }
+});
+
+// @route   POST /api/wishlist/add
+// @desc    Add a gem to the wishlist; out of stock gems can be saved too
+// @access  Private (user or guest)
+router.post('/add', protectUserOrGuest, [
+    body('gemId')
+        .isMongoId()
+        .withMessage('Valid gem ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { gemId } = req.body;
+        const owner = getOwner(req);
+
+        const gem = await Gem.exists({ _id: gemId });
+        if (!gem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
+        }
+
+        const existing = await WishlistItem.findOne({ ...owner, gemId });
+        if (existing) {
+            return res.json({
+                success: true,
+                message: 'Gem is already in wishlist',
+                data: {
+                    wishlistItem: {
+                        id: existing._id,
+                        gemId: existing.gemId,
+                        addedAt: existing.createdAt
+                    }
+                }
+            });
+        }
+
+        const wishlistItem = await WishlistItem.create({ ...owner, gemId });
+
+        res.status(201).json({
+            success: true,
+            message: 'Item added to wishlist',
+            data: {
+                wishlistItem: {
+                    id: wishlistItem._id,
+                    gemId: wishlistItem.gemId,
+                    addedAt: wishlistItem.createdAt
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Add to wishlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during adding to wishlist'
+        });
+    }
+});
+
+// @route   DELETE /api/wishlist/remove/:gemId
+// @desc    Remove a gem from the wishlist
+// @access  Private (user or guest)
+router.delete('/remove/:gemId', protectUserOrGuest, gemIdValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const wishlistItem = await WishlistItem.findOneAndDelete({
+            ...getOwner(req),
+            gemId: req.params.gemId
+        });
+
+        if (!wishlistItem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Wishlist item not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Item removed from wishlist'
+        });
+
+    } catch (error) {
+        console.error('Remove from wishlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during wishlist item removal'
+        });
+    }
+});
+
+// @route   POST /api/wishlist/move-to-cart/:gemId
+// @desc    Move a gem from the wishlist to the cart
+// @access  Private (user or guest)
+router.post('/move-to-cart/:gemId', protectUserOrGuest, [
+    gemIdValidation,
+    body('quantity')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be at least 1')
+        .toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { gemId } = req.params;
+        const { quantity = 1 } = req.body;
+        const owner = getOwner(req);
+
+        const wishlistItem = await WishlistItem.findOne({ ...owner, gemId });
+        if (!wishlistItem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Wishlist item not found'
+            });
+        }
+
+        const gem = await Gem.findById(gemId);
+        if (!gem) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gem not found'
+            });
+        }
+
+        // The cart only takes gems that can be bought, counting what is already in it
+        const cartItem = await CartItem.findOne({ ...owner, gemId });
+        const cartQuantity = (cartItem ? cartItem.quantity : 0) + quantity;
+
+        if (!gem.availability || gem.stock < cartQuantity) {
+            return res.status(400).json({
+                success: false,
+                message: 'Gem is not available or insufficient stock'
+            });
+        }
+
+        const updatedCartItem = await CartItem.findOneAndUpdate(
+            { ...owner, gemId },
+            { $inc: { quantity } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        await wishlistItem.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Item moved to cart',
+            data: {
+                cartItem: {
+                    id: updatedCartItem._id,
+                    gemId: updatedCartItem.gemId,
+                    quantity: updatedCartItem.quantity,
+                    addedAt: updatedCartItem.createdAt
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Move to cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during moving to cart'
+        });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { getStorage } = require('./services/storage');
+const { startPaymentExpiryJob } = require('./services/paymentService');
+const { backfillGemFields } = require('./services/catalogService');
+const { promoteConfiguredAdmin } = require('./services/userService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -11,6 +15,13 @@ const gemRoutes = require('./routes/gems');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const otpRoutes = require('./routes/otp');
+const userRoutes = require('./routes/users');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const couponRoutes = require('./routes/coupons');
+const wishlistRoutes = require('./routes/wishlist');
+const alertRoutes = require('./routes/alerts');
+const reviewRoutes = require('./routes/reviews');
 
 const app = express();
 
@@ -60,15 +71,38 @@ app.use(cors({
 app.options('*', cors());
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so webhook signatures can be verified
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Serve locally stored uploads; allow the storefront on another origin to embed them
+const storage = getStorage();
+if (storage.name === 'local') {
+    app.use('/uploads', express.static(storage.uploadDir, {
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    }));
+}
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jewel_backend', {
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-    .then(() => console.log('MongoDB connected successfully'))
+    .then(() => {
+        console.log('MongoDB connected successfully');
+        startPaymentExpiryJob();
+        backfillGemFields()
+            .then(count => count > 0 && console.log(`Added search terms and prices to ${count} gems`))
+            .catch(error => console.error('Gem backfill error:', error));
+        promoteConfiguredAdmin()
+            .then(user => user && console.log(`Made ${user.email} an admin`))
+            .catch(error => console.error('Promote admin error:', error));
+    })
     .catch(err => {
         console.error('MongoDB connection error:', err);
         process.exit(1);
@@ -80,6 +114,13 @@ app.use('/api/gems', gemRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/otp', otpRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 console.log("testing");
 
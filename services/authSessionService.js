@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const { generateToken } = require('../middleware/auth');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a session for a user who just authenticated and issue its tokens
+const createSession = async (user, req) => {
+    const refreshToken = newRefreshToken();
+
+    const session = await AuthSession.create({
+        userId: user._id,
+        refreshTokenHash: User.hashToken(refreshToken),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+    });
+
+    return {
+        token: generateToken(user._id, session._id),
+        refreshToken
+    };
+};
+
+// Exchange a refresh token for a new access and refresh token pair
+const rotateRefreshToken = async (refreshToken) => {
+    const tokenHash = User.hashToken(refreshToken);
+    const nextRefreshToken = newRefreshToken();
+
+    // Rotate atomically so the same refresh token can't be used twice
+    const session = await AuthSession.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            refreshTokenHash: User.hashToken(nextRefreshToken),
+            $push: { previousTokenHashes: tokenHash },
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry()
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // A rotated token being presented again means it was stolen - end the whole session
+        const reused = await AuthSession.findOneAndUpdate(
+            { previousTokenHashes: tokenHash, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'token_reuse' }
+        );
+
+        if (reused) {
+            console.warn(`Refresh token reuse detected for user ${reused.userId}, session ${reused._id} revoked`);
+        }
+
+        throw new ApiError(401, 'Invalid or expired refresh token');
+    }
+
+    return {
+        token: generateToken(session.userId, session._id),
+        refreshToken: nextRefreshToken
+    };
+};
+
+// Revoke one session
+const revokeSession = async (sessionId, reason = 'logout') => {
+    await AuthSession.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+// Revoke every active session of a user
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+    await AuthSession.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions
+};
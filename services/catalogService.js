@@ -0,0 +1,385 @@
+const { body, query } = require('express-validator');
+const Gem = require('../models/Gem');
+const { tokenize, trigramsOf, searchTermsFor, synonymTermsFor, expandQuery } = require('../utils/search');
+const { calculateEffectivePrice } = require('../utils/pricing');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Fields left out of gem listings
+const LISTING_EXCLUDED_FIELDS = {
+    description: 0,
+    benefits: 0,
+    whomToUse: 0,
+    certification: 0,
+    origin: 0,
+    searchPrefixes: 0,
+    searchGrams: 0
+};
+
+// Sort orders for gem listings; relevance needs a search query
+const CATALOG_SORTS = {
+    newest: { createdAt: -1 },
+    price_asc: { price: 1, createdAt: -1 },
+    price_desc: { price: -1, createdAt: -1 },
+    discounted_price_asc: { effectivePrice: 1, createdAt: -1 },
+    discounted_price_desc: { effectivePrice: -1, createdAt: -1 },
+    popularity: { soldCount: -1, ratingCount: -1, createdAt: -1 },
+    rating: { ratingAverage: -1, ratingCount: -1, createdAt: -1 },
+    reviews: { ratingCount: -1, ratingAverage: -1, createdAt: -1 },
+    relevance: { score: -1, createdAt: -1 }
+};
+
+// Share of a query's trigrams a gem's name or category must contain to match a misspelt search
+const FUZZY_MATCH_THRESHOLD = 0.5;
+
+const MAX_SUGGESTIONS = 8;
+
+// Lower bounds of the price range facet; the last range is open ended
+const PRICE_RANGE_BOUNDARIES = [0, 1000, 5000, 10000, 25000, 50000, 100000];
+
+// Count gems per value of a field, most common first, leaving out gems without one
+const countBy = (field) => [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Facet counts returned with search results, and the catalog filter each one is based on
+const FACETS = {
+    categories: { filter: 'category', pipeline: countBy('category') },
+    origins: { filter: 'origin', pipeline: countBy('origin') },
+    certifications: { filter: 'certification', pipeline: countBy('certification') },
+    zodiac: { filter: 'zodiac', pipeline: [{ $unwind: '$whomToUse' }, ...countBy('whomToUse')] },
+    benefits: { filter: 'benefits', pipeline: [{ $unwind: '$benefits' }, ...countBy('benefits')] },
+    availability: { filter: 'availability', pipeline: countBy('availability') },
+    priceRanges: {
+        filter: 'price',
+        pipeline: [{
+            $bucket: {
+                groupBy: '$effectivePrice',
+                boundaries: PRICE_RANGE_BOUNDARIES,
+                default: PRICE_RANGE_BOUNDARIES[PRICE_RANGE_BOUNDARIES.length - 1],
+                output: { count: { $sum: 1 } }
+            }
+        }]
+    }
+};
+
+// Treat an empty parameter (e.g. ?maxPrice=) as not given, for fields where falsy values are real
+const emptyToNull = (value) => (value === '' ? null : value);
+
+// Validation and coercion for each catalog parameter; empty values count as not given
+const catalogFields = {
+    page: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+    limit: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1, max: MAX_LIMIT })
+        .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+        .toInt(),
+    query: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Search query cannot be more than 100 characters'),
+    category: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim(),
+    zodiac: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim(),
+    origin: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim(),
+    certification: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim(),
+    // An array, or a comma separated list in query strings
+    benefits: (chain) => chain
+        .optional({ values: 'falsy' })
+        .customSanitizer(value => (typeof value === 'string' ? value.split(',') : value))
+        .isArray()
+        .withMessage('Benefits must be a list')
+        .customSanitizer(values => values.map(value => String(value).trim()).filter(Boolean)),
+    // 0 is a real bound, so only a missing, null or empty value is skipped
+    minPrice: (chain) => chain
+        .optional({ values: 'null' })
+        .customSanitizer(emptyToNull)
+        .isFloat({ min: 0 })
+        .withMessage('Minimum price must be a non-negative number')
+        .toFloat(),
+    maxPrice: (chain) => chain
+        .optional({ values: 'null' })
+        .customSanitizer(emptyToNull)
+        .isFloat({ min: 0 })
+        .withMessage('Maximum price must be a non-negative number')
+        .toFloat()
+        .custom((value, { req }) => {
+            const { minPrice } = { ...req.query, ...req.body };
+            return !minPrice || value >= parseFloat(minPrice);
+        })
+        .withMessage('Maximum price cannot be less than minimum price'),
+    // false is a real value here, so only a missing, null or empty value (?availability=) is skipped
+    availability: (chain) => chain
+        .optional({ values: 'null' })
+        .customSanitizer(emptyToNull)
+        .isBoolean()
+        .withMessage('Availability must be true or false')
+        .toBoolean(true),
+    minRating: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isFloat({ min: 0, max: 5 })
+        .withMessage('Minimum rating must be between 0 and 5')
+        .toFloat(),
+    sort: (chain) => chain
+        .optional({ values: 'falsy' })
+        .isIn(Object.keys(CATALOG_SORTS))
+        .withMessage(`Sort must be one of ${Object.keys(CATALOG_SORTS).join(', ')}`)
+};
+
+// Validators for catalog parameters in req.query ('query') or req.body ('body'). Routes that
+// take a parameter from the path (e.g. the category) pass the names they accept.
+const catalogValidation = (location, names = Object.keys(catalogFields)) => {
+    const field = location === 'body' ? body : query;
+    return names.map(name => catalogFields[name](field(name)));
+};
+
+// Conditions on faceted fields, keyed by the filter they come from
+const facetFilters = ({ category, origin, certification, zodiac, benefits, availability, minPrice, maxPrice }) => {
+    const filters = {};
+
+    if (category) filters.category = { category };
+    if (origin) filters.origin = { origin };
+    if (certification) filters.certification = { certification };
+    if (zodiac) filters.zodiac = { whomToUse: { $in: [zodiac] } };
+    if (benefits && benefits.length > 0) filters.benefits = { benefits: { $in: benefits } };
+    if (availability !== undefined) filters.availability = { availability };
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        filters.price = { effectivePrice: {} };
+        if (minPrice !== undefined) filters.price.effectivePrice.$gte = minPrice;
+        if (maxPrice !== undefined) filters.price.effectivePrice.$lte = maxPrice;
+    }
+
+    return filters;
+};
+
+// Distinct trigrams of the words in a query
+const queryGrams = (search) => [...new Set(tokenize(search).flatMap(trigramsOf))];
+
+// Share of the given trigrams found in a gem's search terms
+const gramOverlap = (grams) => ({
+    $divide: [{ $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }, grams.length]
+});
+
+// Conditions that apply to results and every facet count alike. Text search also looks for the
+// catalog names of Hindi and trade names in the query; fuzzy search matches on shared trigrams.
+const baseFilter = ({ query: search, minRating }, { fuzzy = false } = {}) => {
+    const filter = {};
+
+    if (search && fuzzy) {
+        filter.searchGrams = { $in: queryGrams(search) };
+    } else if (search) {
+        filter.$text = { $search: expandQuery(search).join(' ') };
+    }
+    if (minRating !== undefined) filter.ratingAverage = { $gte: minRating };
+
+    return filter;
+};
+
+// Stages scoring how well each gem matches the search query, dropping weak fuzzy matches
+const scoreStages = ({ query: search }, { fuzzy = false } = {}) => {
+    if (!search) return [];
+    if (!fuzzy) return [{ $addFields: { score: { $meta: 'textScore' } } }];
+
+    return [
+        { $addFields: { score: gramOverlap(queryGrams(search)) } },
+        { $match: { score: { $gte: FUZZY_MATCH_THRESHOLD } } }
+    ];
+};
+
+// Mongo filter for validated catalog parameters
+const buildCatalogFilter = (params) => {
+    return Object.assign(baseFilter(params), ...Object.values(facetFilters(params)));
+};
+
+// Price range facet with every range listed, including empty ones
+const priceRanges = (buckets) => PRICE_RANGE_BOUNDARIES.map((min, index) => {
+    const bucket = buckets.find(b => b._id === min);
+    return {
+        min,
+        max: PRICE_RANGE_BOUNDARIES[index + 1] || null,
+        count: bucket ? bucket.count : 0
+    };
+});
+
+// Run the catalog aggregation for validated parameters, with text or fuzzy search
+const aggregateGems = async (params, { facets, fuzzy }) => {
+    const { page = 1, limit = DEFAULT_LIMIT } = params;
+    let sort = params.sort || (params.query ? 'relevance' : 'newest');
+    if (sort === 'relevance' && !params.query) sort = 'newest';
+
+    const filters = facetFilters(params);
+    const matchExcept = (excluded) => ({
+        $match: Object.assign({}, ...Object.entries(filters)
+            .filter(([name]) => name !== excluded)
+            .map(([, condition]) => condition))
+    });
+
+    const facetStages = {};
+    if (facets) {
+        for (const [name, facet] of Object.entries(FACETS)) {
+            facetStages[name] = [matchExcept(facet.filter), ...facet.pipeline];
+        }
+    }
+
+    // $text has to be matched in the first stage, before the results and counts split
+    const [result] = await Gem.aggregate([
+        { $match: baseFilter(params, { fuzzy }) },
+        ...scoreStages(params, { fuzzy }),
+        {
+            $facet: {
+                gems: [
+                    matchExcept(null),
+                    { $sort: CATALOG_SORTS[sort] },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: { ...LISTING_EXCLUDED_FIELDS, score: 0 } }
+                ],
+                total: [matchExcept(null), { $count: 'count' }],
+                ...facetStages
+            }
+        }
+    ]);
+
+    return result;
+};
+
+// One page of gems matching validated catalog parameters, with pagination details.
+// Search results are sorted by relevance unless another sort is asked for. A search the text
+// index finds nothing for is retried as a fuzzy search, so misspelt names still find gems;
+// fuzzy tells which one the results came from.
+// With facets, the same aggregation also counts matching gems per category, origin,
+// certification, zodiac sign, benefit, availability and price range. Each facet applies
+// every filter except its own, so choosing one category still shows the others' counts.
+const findGems = async (params, { facets = false } = {}) => {
+    const { page = 1, limit = DEFAULT_LIMIT } = params;
+
+    let fuzzy = false;
+    let result = await aggregateGems(params, { facets, fuzzy });
+
+    if (params.query && result.total.length === 0 && queryGrams(params.query).length > 0) {
+        fuzzy = true;
+        result = await aggregateGems(params, { facets, fuzzy });
+    }
+
+    const totalItems = result.total.length > 0 ? result.total[0].count : 0;
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+        gems: result.gems,
+        ...(params.query && { fuzzy }),
+        pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+        },
+        ...(facets && {
+            facets: {
+                ...Object.fromEntries(Object.keys(FACETS).map(name => [name, result[name]])),
+                priceRanges: priceRanges(result.priceRanges)
+            }
+        })
+    };
+};
+
+// Autocomplete for a partly typed search. Gems whose name or category words start with the
+// query's words (or with the catalog names of Hindi and trade names it starts) rank first,
+// then near misses sharing enough trigrams. Matching categories are suggested alongside.
+const suggestGems = async (search) => {
+    const words = tokenize(search);
+    const synonymTerms = synonymTermsFor(words, { partial: true });
+    const synonymWords = synonymTerms.flatMap(tokenize);
+    const prefixes = [...new Set([...words, ...synonymWords])];
+    const grams = queryGrams(search);
+
+    if (prefixes.length === 0) {
+        return { gems: [], categories: [] };
+    }
+
+    const [gems, categories] = await Promise.all([
+        Gem.aggregate([
+            { $match: { $or: [{ searchPrefixes: { $in: prefixes } }, { searchGrams: { $in: grams } }] } },
+            {
+                $addFields: {
+                    prefixScore: { $size: { $setIntersection: [{ $ifNull: ['$searchPrefixes', []] }, prefixes] } },
+                    gramScore: gramOverlap(grams)
+                }
+            },
+            { $match: { $or: [{ prefixScore: { $gt: 0 } }, { gramScore: { $gte: FUZZY_MATCH_THRESHOLD } }] } },
+            { $sort: { prefixScore: -1, gramScore: -1, soldCount: -1, name: 1 } },
+            { $limit: MAX_SUGGESTIONS },
+            {
+                $project: {
+                    _id: 1,
+                    name: 1,
+                    category: 1,
+                    price: 1,
+                    effectivePrice: 1,
+                    savingsAmount: 1,
+                    savingsPercent: 1,
+                    image: { $arrayElemAt: [{ $concatArrays: ['$thumbnails', '$allImages'] }, 0] }
+                }
+            }
+        ]),
+        Gem.distinct('category')
+    ]);
+
+    // A category matches when every word typed starts one of its words, or a synonym names it
+    const matchingCategories = categories.filter(category => {
+        const categoryWords = tokenize(category);
+        const startsAWord = word => categoryWords.some(categoryWord => categoryWord.startsWith(word));
+        return words.every(startsAWord) || synonymTerms.includes(categoryWords.join(' '));
+    });
+
+    return { gems, categories: matchingCategories };
+};
+
+// Add search terms and effective prices to gems saved before they existed, e.g. on startup after upgrading
+const backfillGemFields = async () => {
+    const gems = await Gem.find({
+        $or: [{ searchGrams: { $exists: false } }, { effectivePrice: { $exists: false } }]
+    }).select('name category price discount discountType').lean();
+    if (gems.length === 0) return 0;
+
+    await Gem.bulkWrite(gems.map(gem => ({
+        updateOne: {
+            filter: { _id: gem._id },
+            update: { $set: { ...searchTermsFor(gem), ...calculateEffectivePrice(gem) } }
+        }
+    })));
+
+    return gems.length;
+};
+
+module.exports = {
+    MAX_LIMIT,
+    CATALOG_SORTS,
+    PRICE_RANGE_BOUNDARIES,
+    catalogValidation,
+    buildCatalogFilter,
+    findGems,
+    suggestGems,
+    backfillGemFields
+};
@@ -0,0 +1,138 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CartCoupon = require('../models/CartCoupon');
+const ApiError = require('../utils/ApiError');
+const { roundPrice } = require('../utils/pricing');
+
+// Whether a gem is covered by the coupon's category and zodiac restrictions
+const isEligible = (coupon, gem) => {
+    if (coupon.categories.length > 0 && !coupon.categories.includes(gem.category)) {
+        return false;
+    }
+    if (coupon.zodiacSigns.length > 0 && !(gem.whomToUse || []).some(sign => coupon.zodiacSigns.includes(sign))) {
+        return false;
+    }
+    return true;
+};
+
+// Split a discount over lines in proportion to their totals, putting the rounding remainder on the last line
+const allocateDiscount = (discount, lineTotals) => {
+    const eligibleTotal = lineTotals.reduce((sum, total) => sum + total, 0);
+    let remaining = discount;
+
+    return lineTotals.map((total, index) => {
+        if (total === 0) return 0;
+        const isLast = lineTotals.slice(index + 1).every(t => t === 0);
+        const share = isLast ? remaining : roundPrice(discount * total / eligibleTotal);
+        remaining = roundPrice(remaining - share);
+        return share;
+    });
+};
+
+// Check a coupon against priced lines ({ gem, quantity, price }) for an owner.
+// Returns the total discount and each line's share, or throws ApiError(400) with the reason it doesn't apply.
+const evaluateCoupon = async (coupon, owner, lines, session) => {
+    const now = new Date();
+
+    if (!coupon || !coupon.active) {
+        throw new ApiError(400, 'Invalid coupon code');
+    }
+
+    if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+        throw new ApiError(400, 'Coupon is not valid at this time');
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        throw new ApiError(400, 'Coupon usage limit has been reached');
+    }
+
+    if (coupon.perUserLimit) {
+        const used = await CouponRedemption.countDocuments({ couponId: coupon._id, ...owner }).session(session || null);
+        if (used >= coupon.perUserLimit) {
+            throw new ApiError(400, 'You have already used this coupon');
+        }
+    }
+
+    const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+    if (subtotal < coupon.minOrderValue) {
+        throw new ApiError(400, `Coupon requires a minimum order value of ${coupon.minOrderValue}`);
+    }
+
+    const lineTotals = lines.map(line => (isEligible(coupon, line.gem) ? line.price * line.quantity : 0));
+    const eligibleSubtotal = roundPrice(lineTotals.reduce((sum, total) => sum + total, 0));
+
+    if (eligibleSubtotal === 0) {
+        throw new ApiError(400, 'Coupon does not apply to any item in your cart');
+    }
+
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleSubtotal * coupon.discountValue / 100
+        : coupon.discountValue;
+
+    if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    discount = roundPrice(Math.min(discount, eligibleSubtotal));
+
+    return {
+        discount,
+        allocations: allocateDiscount(discount, lineTotals)
+    };
+};
+
+// Find a coupon by its code
+const findCoupon = async (code, session) => {
+    return Coupon.findOne({ code: String(code).trim().toUpperCase() }).session(session || null);
+};
+
+// The coupon applied to the owner's cart, if any
+const getCartCoupon = async (owner, session) => {
+    const cartCoupon = await CartCoupon.findOne(owner).populate('couponId').session(session || null);
+    return cartCoupon ? cartCoupon.couponId : null;
+};
+
+// Count one use of the coupon for an order. The conditional increment keeps the global limit,
+// and because every redemption writes the coupon document, concurrent transactions for the
+// same owner conflict and retry, so the per-user count read in evaluateCoupon stays accurate.
+const redeemCoupon = async (coupon, owner, order, discount, session) => {
+    const redeemed = await Coupon.findOneAndUpdate(
+        { _id: coupon._id, ...Coupon.redeemableFilter() },
+        { $inc: { usedCount: 1 } },
+        { session, new: true }
+    );
+
+    if (!redeemed) {
+        throw new ApiError(409, 'Coupon is no longer available');
+    }
+
+    await CouponRedemption.create([{
+        couponId: coupon._id,
+        orderId: order._id,
+        ...owner,
+        discount
+    }], { session });
+};
+
+// Give a coupon use back when its order is cancelled
+const releaseCoupon = async (order, session) => {
+    const redemption = await CouponRedemption.findOneAndDelete({ orderId: order._id }, { session });
+
+    if (redemption) {
+        await Coupon.updateOne(
+            { _id: redemption.couponId, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } },
+            { session }
+        );
+    }
+};
+
+module.exports = {
+    allocateDiscount,
+    evaluateCoupon,
+    findCoupon,
+    getCartCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
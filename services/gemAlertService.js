@@ -0,0 +1,99 @@
+const GemAlert = require('../models/GemAlert');
+const { notify } = require('./notifier');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const getRecipient = (alert) => {
+    if (alert.userId) {
+        const { name, email, phone } = alert.userId;
+        return { name, email, phone };
+    }
+    return { phone: alert.guestPhone };
+};
+
+const unsubscribeText = (alert) => {
+    const url = `${clientUrl()}/alerts/unsubscribe?alert=${alert._id}&token=${alert.getUnsubscribeToken()}`;
+    return `To stop these alerts, open ${url}`;
+};
+
+// Claim each matching alert before sending so concurrent updates never alert anyone twice.
+// claim(alert) returns the claimed alert or null; release(alert) undoes the claim if sending fails.
+const deliverAlerts = async (filter, { claim, release, message }) => {
+    const alerts = await GemAlert.find(filter).populate('userId', 'name email phone');
+    let sent = 0;
+
+    for (const alert of alerts) {
+        const claimed = await claim(alert);
+        if (!claimed) continue;
+
+        try {
+            await notify(alert.channel, {
+                to: getRecipient(alert),
+                ...message(alert)
+            });
+            sent += 1;
+        } catch (error) {
+            console.error(`Gem alert ${alert._id} delivery error:`, error);
+            await release(alert);
+        }
+    }
+
+    return sent;
+};
+
+// Tell back-in-stock subscribers that the gem can be bought again; each alert is sent once
+const sendBackInStockAlerts = (gem) => {
+    return deliverAlerts({ gemId: gem._id, type: 'back_in_stock', active: true }, {
+        claim: (alert) => GemAlert.findOneAndUpdate(
+            { _id: alert._id, active: true },
+            { active: false, lastNotifiedAt: new Date() }
+        ),
+        release: (alert) => GemAlert.updateOne(
+            { _id: alert._id },
+            { active: true, lastNotifiedAt: alert.lastNotifiedAt }
+        ),
+        message: (alert) => ({
+            subject: `${gem.name} is back in stock`,
+            text: `${gem.name} is back in stock: ${clientUrl()}/gems/${gem._id}\n\n${unsubscribeText(alert)}`
+        })
+    });
+};
+
+// Tell price-drop subscribers about a price below the last one they were told about
+const sendPriceDropAlerts = (gem, price) => {
+    return deliverAlerts({
+        gemId: gem._id,
+        type: 'price_drop',
+        active: true,
+        referencePrice: { $gt: price }
+    }, {
+        claim: (alert) => GemAlert.findOneAndUpdate(
+            { _id: alert._id, active: true, referencePrice: { $gt: price } },
+            { referencePrice: price, lastNotifiedAt: new Date() }
+        ),
+        release: (alert) => GemAlert.updateOne(
+            { _id: alert._id, referencePrice: price },
+            { referencePrice: alert.referencePrice, lastNotifiedAt: alert.lastNotifiedAt }
+        ),
+        message: (alert) => ({
+            subject: `Price drop on ${gem.name}`,
+            text: `${gem.name} is now ${price}, down from ${alert.referencePrice}: ${clientUrl()}/gems/${gem._id}\n\n${unsubscribeText(alert)}`
+        })
+    });
+};
+
+// Alert subscribers about a saved gem update: stock going from 0 to positive, or a lower effective price
+const notifyGemChange = async (gem, { previousStock, previousPrice }) => {
+    if (previousStock === 0 && gem.stock > 0 && gem.availability) {
+        await sendBackInStockAlerts(gem);
+    }
+
+    if (gem.effectivePrice < previousPrice) {
+        await sendPriceDropAlerts(gem, gem.effectivePrice);
+    }
+};
+
+module.exports = {
+    sendBackInStockAlerts,
+    notifyGemChange
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { MAX_IMAGES_PER_GEM } = require('../middleware/upload');
+const ApiError = require('../utils/ApiError');
+
+const THUMBNAIL_SIZE = 300;
+
+const extensions = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+};
+
+// Thumbnails live next to the original as <name>_thumb.webp
+const thumbnailUrlFor = (url) => url.replace(/(\.[a-z0-9]+)?$/i, '_thumb.webp');
+
+// Recompute thumbnails for the uploaded images this pipeline stored (allImages is kept in sync by the model)
+const syncThumbnails = (gem) => {
+    gem.thumbnails = gem.uploadedImages
+        .filter(url => url.includes(`gems/${gem._id}/`))
+        .map(thumbnailUrlFor);
+};
+
+// Validate, store and attach uploaded files to a gem
+const addImages = async (gem, files) => {
+    if (!files || files.length === 0) {
+        throw new ApiError(400, 'At least one image is required');
+    }
+
+    if (gem.uploadedImages.length + files.length > MAX_IMAGES_PER_GEM) {
+        throw new ApiError(400, `A gem can have at most ${MAX_IMAGES_PER_GEM} uploaded images`);
+    }
+
+    // Make sure every file really is an image before storing any of them
+    for (const file of files) {
+        try {
+            await sharp(file.buffer).metadata();
+        } catch (error) {
+            throw new ApiError(400, `${file.originalname} is not a valid image`);
+        }
+    }
+
+    const storage = getStorage();
+    const urls = [];
+
+    try {
+        for (const file of files) {
+            const name = crypto.randomUUID();
+            const key = `gems/${gem._id}/${name}${extensions[file.mimetype]}`;
+
+            const thumbnail = await sharp(file.buffer, { animated: false })
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp()
+                .toBuffer();
+
+            const url = await storage.save(key, file.buffer, file.mimetype);
+            urls.push(url);
+            await storage.save(`gems/${gem._id}/${name}_thumb.webp`, thumbnail, 'image/webp');
+        }
+
+        gem.uploadedImages.push(...urls);
+        syncThumbnails(gem);
+        await gem.save();
+    } catch (error) {
+        // Don't leave orphaned files behind when part of the upload fails
+        await removeFiles(urls);
+        throw error;
+    }
+
+    return urls;
+};
+
+// Reorder uploaded images; order must contain exactly the gem's current uploaded image URLs
+const reorderImages = async (gem, order) => {
+    const current = [...gem.uploadedImages].sort();
+    const requested = [...order].sort();
+
+    if (current.length !== requested.length || current.some((url, i) => url !== requested[i])) {
+        throw new ApiError(400, 'Order must list every uploaded image exactly once');
+    }
+
+    gem.uploadedImages = order;
+    syncThumbnails(gem);
+    await gem.save();
+};
+
+// Detach an uploaded image by file name and delete it and its thumbnail from storage
+const removeImage = async (gem, filename) => {
+    const url = gem.uploadedImages.find(u => path.basename(u) === filename);
+
+    if (!url) {
+        throw new ApiError(404, 'Image not found');
+    }
+
+    gem.uploadedImages = gem.uploadedImages.filter(u => u !== url);
+    syncThumbnails(gem);
+    await gem.save();
+
+    await removeFiles([url]);
+};
+
+// Best-effort delete of stored images and their thumbnails
+const removeFiles = async (urls) => {
+    const storage = getStorage();
+
+    for (const url of urls) {
+        try {
+            await storage.remove(url);
+            await storage.remove(thumbnailUrlFor(url));
+        } catch (error) {
+            console.error('Remove image error:', error);
+        }
+    }
+};
+
+module.exports = {
+    addImages,
+    reorderImages,
+    removeImage,
+    removeFiles
+};
@@ -0,0 +1,141 @@
+const PDFDocument = require('pdfkit');
+
+// Column layout of the line items table: [header, x, width, align]
+const COLUMNS = [
+    ['#', 40, 20, 'left'],
+    ['Description', 60, 130, 'left'],
+    ['HSN', 190, 40, 'left'],
+    ['Qty', 230, 30, 'right'],
+    ['Rate', 260, 60, 'right'],
+    ['Discount', 320, 50, 'right'],
+    ['Taxable', 370, 60, 'right'],
+    ['GST %', 430, 35, 'right'],
+    ['GST', 465, 45, 'right'],
+    ['Total', 510, 45, 'right']
+];
+
+const money = (amount) => Number(amount || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+const partyLines = (party) => [
+    party.name,
+    party.address,
+    [party.city, party.state, party.pincode].filter(Boolean).join(', '),
+    party.gstin && `GSTIN: ${party.gstin}`,
+    party.phone && `Phone: ${party.phone}`,
+    party.email
+].filter(Boolean);
+
+const row = (doc, values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(8);
+    COLUMNS.forEach(([, x, width, align], index) => {
+        doc.text(String(values[index]), x, y, { width, align });
+    });
+};
+
+// Render an invoice or credit note as a PDF buffer
+const renderInvoicePdf = (invoice, order) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const isCreditNote = invoice.type === 'credit_note';
+
+        // Heading
+        doc.font('Helvetica-Bold').fontSize(16)
+            .text(isCreditNote ? 'Credit Note' : 'Tax Invoice', { align: 'center' });
+        doc.moveDown(0.5);
+
+        doc.font('Helvetica').fontSize(9);
+        const top = doc.y;
+        doc.text(`${isCreditNote ? 'Credit note' : 'Invoice'} no: ${invoice.number}`, 40, top);
+        doc.text(`Date: ${formatDate(invoice.issuedAt)}`);
+        doc.text(`Order: ${order.orderId}`);
+        if (isCreditNote) {
+            doc.text(`Against invoice: ${invoice.invoiceNumber}`);
+            if (invoice.reason) doc.text(`Reason: ${invoice.reason}`);
+        }
+        doc.text(`Place of supply: ${invoice.placeOfSupply || '-'}`, 320, top);
+        doc.text(`Supply: ${invoice.supplyType === 'intra_state' ? 'Intra-state' : 'Inter-state'}`, 320);
+        doc.text(`Payment: ${order.paymentMethod.toUpperCase()}`, 320);
+
+        // Parties
+        doc.moveDown(2);
+        const partiesTop = Math.max(doc.y, top + 70);
+        doc.font('Helvetica-Bold').text('Sold by', 40, partiesTop);
+        doc.font('Helvetica').text(partyLines(invoice.seller || {}).join('\n'), 40, partiesTop + 12, { width: 250 });
+        doc.font('Helvetica-Bold').text('Billed and shipped to', 320, partiesTop);
+        doc.font('Helvetica').text(partyLines(invoice.buyer || {}).join('\n'), 320, partiesTop + 12, { width: 235 });
+
+        // Line items
+        let y = partiesTop + 100;
+        row(doc, COLUMNS.map(([header]) => header), y, 'Helvetica-Bold');
+        y += 14;
+        doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+
+        invoice.items.forEach((item, index) => {
+            const tax = item.cgst + item.sgst + item.igst;
+            row(doc, [
+                index + 1,
+                item.description,
+                item.hsnCode || '-',
+                item.quantity,
+                money(item.unitPrice),
+                money(item.discount),
+                money(item.taxableValue),
+                item.taxRate,
+                money(tax),
+                money(item.total)
+            ], y);
+            y = Math.max(doc.y, y + 12) + 4;
+
+            if (y > 740) {
+                doc.addPage();
+                y = 40;
+            }
+        });
+
+        doc.moveTo(40, y).lineTo(555, y).stroke();
+        y += 8;
+
+        // Totals
+        const totals = [
+            ['Taxable value', invoice.taxableValue],
+            ...(invoice.supplyType === 'intra_state'
+                ? [['CGST', invoice.cgst], ['SGST', invoice.sgst]]
+                : [['IGST', invoice.igst]]),
+            ...(invoice.shippingCharge ? [['Shipping', invoice.shippingCharge]] : []),
+            ...(invoice.codCharge ? [['COD charge', invoice.codCharge]] : []),
+            [isCreditNote ? 'Total credited (INR)' : 'Grand total (INR)', invoice.total]
+        ];
+
+        totals.forEach(([label, amount], index) => {
+            const font = index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+            doc.font(font).fontSize(9);
+            doc.text(label, 370, y, { width: 120, align: 'right' });
+            doc.text(money(amount), 490, y, { width: 65, align: 'right' });
+            y += 14;
+        });
+
+        doc.font('Helvetica').fontSize(8)
+            .text('This is a computer generated document and does not require a signature.', 40, y + 20, {
+                align: 'center',
+                width: 515
+            });
+
+        doc.end();
+    });
+};
+
+module.exports = {
+    renderInvoicePdf
+};
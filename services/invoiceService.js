@@ -0,0 +1,170 @@
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const { roundPrice } = require('../utils/pricing');
+
+const getSeller = () => ({
+    name: process.env.SELLER_NAME,
+    gstin: process.env.SELLER_GSTIN,
+    address: process.env.SELLER_ADDRESS,
+    city: process.env.SELLER_CITY,
+    state: process.env.SELLER_STATE,
+    pincode: process.env.SELLER_PINCODE,
+    email: process.env.SELLER_EMAIL,
+    phone: process.env.SELLER_PHONE
+});
+
+const getBuyer = (order) => {
+    const { firstName, lastName, email, phone, address, city, state, pincode } = order.shippingAddress;
+    return { name: `${firstName} ${lastName}`, email, phone, address, city, state, pincode };
+};
+
+// Indian financial year (April to March) as e.g. '2425'
+const financialYear = (date) => {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${String(startYear % 100).padStart(2, '0')}${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Next document number, e.g. INV2425-000001. Sequences restart every financial year and
+// stay within the 16 characters GST allows.
+const nextNumber = async (prefix, date, session) => {
+    const series = `${prefix}${financialYear(date)}`;
+    const seq = await Counter.next(`invoice:${series}`, session);
+    return `${series}-${String(seq).padStart(6, '0')}`;
+};
+
+const isIntraState = (order) => {
+    const sellerState = process.env.SELLER_STATE;
+    return Boolean(sellerState)
+        && order.shippingAddress.state.trim().toLowerCase() === sellerState.trim().toLowerCase();
+};
+
+// Split GST into CGST + SGST within the seller's state, IGST otherwise
+const splitTax = (amount, intraState) => {
+    if (!intraState) {
+        return { cgst: 0, sgst: 0, igst: amount };
+    }
+    const cgst = roundPrice(amount / 2);
+    return { cgst, sgst: roundPrice(amount - cgst), igst: 0 };
+};
+
+// Invoice line for quantity units of an order item (its gem populated)
+const buildItem = (orderItem, quantity, intraState) => {
+    const share = quantity / orderItem.quantity;
+    const discount = roundPrice(orderItem.couponDiscount * share);
+    const taxableValue = roundPrice((orderItem.taxableValue ?? orderItem.price * orderItem.quantity) * share);
+    const tax = roundPrice(orderItem.taxAmount * share);
+
+    return {
+        description: orderItem.gemId ? orderItem.gemId.name : 'Gem',
+        hsnCode: orderItem.hsnCode,
+        quantity,
+        unitPrice: orderItem.price,
+        discount,
+        taxableValue,
+        taxRate: orderItem.taxRate,
+        ...splitTax(tax, intraState),
+        total: roundPrice(taxableValue + tax)
+    };
+};
+
+// Document totals from its lines and charges
+const summarise = (items, { shippingCharge = 0, codCharge = 0 } = {}) => {
+    const sum = (field) => roundPrice(items.reduce((total, item) => total + item[field], 0));
+
+    return {
+        items,
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        shippingCharge,
+        codCharge,
+        total: roundPrice(sum('total') + shippingCharge + codCharge)
+    };
+};
+
+// Issue the order's tax invoice; does nothing if it already has one
+const issueInvoice = async (order, session) => {
+    const existing = await Invoice.findOne({ orderId: order._id, type: 'invoice' }).session(session);
+    if (existing) {
+        return existing;
+    }
+
+    const orderItems = await OrderItem.find({ orderId: order._id })
+        .populate('gemId', 'name')
+        .session(session);
+    const intraState = isIntraState(order);
+    const issuedAt = new Date();
+
+    const [invoice] = await Invoice.create([{
+        type: 'invoice',
+        number: await nextNumber('INV', issuedAt, session),
+        orderId: order._id,
+        issuedAt,
+        seller: getSeller(),
+        buyer: getBuyer(order),
+        placeOfSupply: order.shippingAddress.state,
+        supplyType: intraState ? 'intra_state' : 'inter_state',
+        ...summarise(
+            orderItems.map(item => buildItem(item, item.quantity, intraState)),
+            { shippingCharge: order.shippingCharge, codCharge: order.codCharge }
+        )
+    }], { session });
+
+    await Order.updateOne({ _id: order._id }, { invoiceNumber: invoice.number }, { session });
+
+    return invoice;
+};
+
+// Issue a credit note against the order's invoice: for the returned items of a return request,
+// or for the whole invoice when the order is cancelled. Orders without an invoice need none.
+const issueCreditNote = async (order, { reason, returnRequest }, session) => {
+    const invoice = await Invoice.findOne({ orderId: order._id, type: 'invoice' }).session(session);
+    if (!invoice) {
+        return null;
+    }
+
+    let totals;
+    if (returnRequest) {
+        const orderItems = await OrderItem.find({ orderId: order._id })
+            .populate('gemId', 'name')
+            .session(session);
+        const intraState = invoice.supplyType === 'intra_state';
+
+        totals = summarise(returnRequest.items.map(returned => {
+            const orderItem = orderItems.find(item => item._id.equals(returned.orderItemId));
+            return buildItem(orderItem, returned.quantity, intraState);
+        }));
+    } else {
+        totals = summarise(invoice.items.map(item => item.toObject()), {
+            shippingCharge: invoice.shippingCharge,
+            codCharge: invoice.codCharge
+        });
+    }
+
+    const issuedAt = new Date();
+
+    const [creditNote] = await Invoice.create([{
+        type: 'credit_note',
+        number: await nextNumber('CN', issuedAt, session),
+        orderId: order._id,
+        invoiceNumber: invoice.number,
+        reason,
+        returnRequestId: returnRequest && returnRequest._id,
+        issuedAt,
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: invoice.supplyType,
+        ...totals
+    }], { session });
+
+    return creditNote;
+};
+
+module.exports = {
+    issueInvoice,
+    issueCreditNote
+};
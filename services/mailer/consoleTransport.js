@@ -0,0 +1,13 @@
+// Prints emails to the console - for local development
+const send = async (message) => {
+    console.log('--- Email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('-------------');
+};
+
+module.exports = {
+    name: 'console',
+    send
+};
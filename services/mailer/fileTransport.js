@@ -0,0 +1,21 @@
+const path = require('path');
+const fs = require('fs/promises');
+
+// Writes each email as a JSON file - for local development and tests
+const mailDir = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+
+const send = async (message) => {
+    await fs.mkdir(mailDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.writeFile(
+        path.join(mailDir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+};
+
+module.exports = {
+    name: 'file',
+    mailDir,
+    send
+};
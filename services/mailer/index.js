@@ -0,0 +1,43 @@
+// Mail transports implement:
+//   send({ from, to, subject, text, html }) -> Promise<void>
+const transports = {
+    console: () => require('./consoleTransport'),
+    file: () => require('./fileTransport'),
+    smtp: () => require('./smtpTransport')
+};
+
+let transport;
+
+// Register an additional mail transport, e.g. for a transactional email API
+const registerMailTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+// Get the transport selected by MAIL_TRANSPORT (console by default)
+const getMailTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+// Send an email from the configured sender address
+const sendMail = async ({ to, subject, text, html }) => {
+    await getMailTransport().send({
+        from: process.env.MAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = {
+    registerMailTransport,
+    getMailTransport,
+    sendMail
+};
@@ -0,0 +1,21 @@
+const nodemailer = require('nodemailer');
+
+// Sends emails through the SMTP server configured by the EMAIL_* variables
+const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.EMAIL_PORT || '587'),
+    secure: parseInt(process.env.EMAIL_PORT || '587') === 465,
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+    }
+});
+
+const send = async (message) => {
+    await transporter.sendMail(message);
+};
+
+module.exports = {
+    name: 'smtp',
+    send
+};
@@ -0,0 +1,13 @@
+// Prints notifications to the console - for local development
+const notify = async ({ to, subject, text }) => {
+    console.log('--- Notification ---');
+    console.log(`To: ${to.email || to.phone}`);
+    console.log(`Subject: ${subject}`);
+    console.log(text);
+    console.log('--------------------');
+};
+
+module.exports = {
+    name: 'console',
+    notify
+};
@@ -0,0 +1,14 @@
+const { sendMail } = require('../mailer');
+
+// Sends notifications by email through the configured mail transport
+const notify = async ({ to, subject, text }) => {
+    if (!to.email) {
+        throw new Error('Recipient has no email address');
+    }
+    await sendMail({ to: to.email, subject, text });
+};
+
+module.exports = {
+    name: 'email',
+    notify
+};
@@ -0,0 +1,40 @@
+// Notifiers implement:
+//   notify({ to: { name, email, phone }, subject, text }) -> Promise<void>
+// Alerts go through the notifier named by the subscriber's channel (email or sms),
+// unless NOTIFIER sends every alert through one notifier, e.g. console in development.
+const notifiers = {
+    email: () => require('./emailNotifier'),
+    sms: () => require('./smsNotifier'),
+    console: () => require('./consoleNotifier')
+};
+
+const loaded = {};
+
+// Register an additional notifier, e.g. for push notifications
+const registerNotifier = (name, factory) => {
+    notifiers[name] = factory;
+    delete loaded[name];
+};
+
+// Get the notifier for a channel, or the one selected by NOTIFIER
+const getNotifier = (channel) => {
+    const name = process.env.NOTIFIER || channel;
+    if (!notifiers[name]) {
+        throw new Error(`Unknown notifier: ${name}`);
+    }
+    if (!loaded[name]) {
+        loaded[name] = notifiers[name]();
+    }
+    return loaded[name];
+};
+
+// Send a notification over the given channel
+const notify = async (channel, { to, subject, text }) => {
+    await getNotifier(channel).notify({ to, subject, text });
+};
+
+module.exports = {
+    registerNotifier,
+    getNotifier,
+    notify
+};
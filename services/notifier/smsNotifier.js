@@ -0,0 +1,14 @@
+const { sendSms } = require('../sms');
+
+// Sends notifications by text message through the configured SMS transport
+const notify = async ({ to, text }) => {
+    if (!to.phone) {
+        throw new Error('Recipient has no phone number');
+    }
+    await sendSms({ to: to.phone, body: text });
+};
+
+module.exports = {
+    name: 'sms',
+    notify
+};
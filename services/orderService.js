@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const CartItem = require('../models/CartItem');
+const CartCoupon = require('../models/CartCoupon');
+const Gem = require('../models/Gem');
+const ApiError = require('../utils/ApiError');
+const { roundPrice, gemPricing } = require('../utils/pricing');
+const { calculateOrderCharges } = require('../utils/charges');
+const { evaluateCoupon, findCoupon, getCartCoupon, redeemCoupon, releaseCoupon } = require('./couponService');
+const { issueInvoice, issueCreditNote } = require('./invoiceService');
+const { restockGem } = require('./stockService');
+
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES || '30');
+
+// Run fn inside a MongoDB transaction, committing on success and rolling back on any error
+const runInTransaction = async (fn) => {
+    const session = await mongoose.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Reserve stock for one line and price it from the catalog, or return null if the stock is gone
+const reserveItem = async (gem, quantity, session) => {
+    // Decrement only if enough stock is left at this moment
+    const reserved = await Gem.findOneAndUpdate(
+        { _id: gem._id, availability: true, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity, soldCount: quantity } },
+        { session, new: true }
+    );
+
+    if (!reserved) {
+        return null;
+    }
+
+    const { effectivePrice, savingsAmount } = gemPricing(gem);
+
+    return {
+        gemId: gem._id,
+        quantity,
+        listPrice: gem.price,
+        discountAmount: savingsAmount,
+        price: effectivePrice
+    };
+};
+
+// Save the order and its items, redeem the coupon, then drop the ordered lines from the owner's cart.
+// gems holds the gem of each priced item, for coupon restrictions and GST.
+const saveOrder = async (owner, pricedItems, gems, { shippingAddress, paymentMethod, orderNotes, expectedTotal, coupon, actor }, session) => {
+    let lines = pricedItems.map((item, index) => ({ ...item, gem: gems[index] }));
+
+    if (coupon) {
+        const { allocations } = await evaluateCoupon(coupon, owner, lines, session);
+        lines = lines.map((line, index) => ({ ...line, couponDiscount: allocations[index] }));
+    }
+
+    // Calculate totals, tax and charges from server-side prices
+    const charges = calculateOrderCharges(lines, {
+        pincode: shippingAddress.pincode,
+        paymentMethod
+    });
+
+    pricedItems = lines.map(({ gem, ...item }, index) => ({ ...item, ...charges.items[index] }));
+
+    const breakdown = {
+        subtotal: charges.subtotal,
+        discount: charges.discount,
+        tax: charges.tax,
+        shippingCharge: charges.shipping,
+        codCharge: charges.codCharge,
+        total: charges.total
+    };
+
+    // Reject the order if the client saw a different total
+    if (expectedTotal !== undefined && roundPrice(parseFloat(expectedTotal)) !== charges.total) {
+        throw new ApiError(409, 'Order total has changed, please review your order', {
+            expectedTotal: roundPrice(parseFloat(expectedTotal)),
+            ...breakdown,
+            items: pricedItems
+        });
+    }
+
+    const order = new Order({
+        ...owner,
+        ...breakdown,
+        shippingZone: charges.shippingZone,
+        couponCode: coupon ? coupon.code : undefined,
+        shippingAddress,
+        paymentMethod,
+        orderNotes,
+        statusHistory: [{ status: 'pending', actor: actor.id, actorType: actor.type }],
+        ...(paymentMethod !== 'cod' && {
+            paymentExpiresAt: new Date(Date.now() + PAYMENT_TIMEOUT_MINUTES * 60 * 1000)
+        })
+    });
+
+    await order.save({ session });
+
+    await OrderItem.insertMany(
+        pricedItems.map(item => ({ orderId: order._id, ...item })),
+        { session }
+    );
+
+    if (coupon) {
+        await redeemCoupon(coupon, owner, order, charges.discount, session);
+        await CartCoupon.deleteOne(owner, { session });
+    }
+
+    await CartItem.deleteMany(
+        { ...owner, gemId: { $in: pricedItems.map(item => item.gemId) } },
+        { session }
+    );
+
+    return order;
+};
+
+// Look up a coupon code sent with the order
+const resolveCoupon = async (couponCode, session) => {
+    const coupon = await findCoupon(couponCode, session);
+
+    if (!coupon) {
+        throw new ApiError(400, 'Invalid coupon code');
+    }
+
+    return coupon;
+};
+
+// Create an order from the given items; any unavailable item rolls back the whole order
+const createOrder = async (owner, { items, couponCode, ...details }) => {
+    return runInTransaction(async (session) => {
+        const gemIds = items.map(item => item.gemId.toString());
+        const gems = await Gem.find({ _id: { $in: gemIds } }).session(session);
+
+        if (gems.length !== new Set(gemIds).size) {
+            throw new ApiError(400, 'One or more gems not found');
+        }
+
+        const pricedItems = [];
+        const orderedGems = [];
+        for (const item of items) {
+            const gem = gems.find(g => g._id.toString() === item.gemId.toString());
+            const pricedItem = await reserveItem(gem, item.quantity, session);
+
+            if (!pricedItem) {
+                throw new ApiError(400, `Insufficient stock for ${gem.name}`);
+            }
+
+            pricedItems.push(pricedItem);
+            orderedGems.push(gem);
+        }
+
+        const coupon = couponCode ? await resolveCoupon(couponCode, session) : null;
+
+        return saveOrder(owner, pricedItems, orderedGems, { ...details, coupon }, session);
+    });
+};
+
+// Create an order from the owner's cart, skipping lines that can't be bought.
+// Uses the coupon applied to the cart unless another code is given.
+const checkoutCart = async (owner, { couponCode, ...details }) => {
+    return runInTransaction(async (session) => {
+        const cartItems = await CartItem.find(owner)
+            .populate('gemId')
+            .session(session);
+
+        if (cartItems.length === 0) {
+            throw new ApiError(400, 'Cart is empty');
+        }
+
+        const pricedItems = [];
+        const orderedGems = [];
+        const unavailableItems = [];
+        for (const cartItem of cartItems) {
+            const gem = cartItem.gemId;
+            const line = {
+                cartItemId: cartItem._id,
+                gemId: gem ? gem._id : null,
+                quantity: cartItem.quantity
+            };
+
+            if (!gem) {
+                unavailableItems.push({ ...line, message: 'Gem no longer exists' });
+                continue;
+            }
+
+            if (!gem.availability) {
+                unavailableItems.push({ ...line, message: `${gem.name} is not available` });
+                continue;
+            }
+
+            const pricedItem = await reserveItem(gem, cartItem.quantity, session);
+
+            if (!pricedItem) {
+                unavailableItems.push({ ...line, message: `Insufficient stock for ${gem.name}` });
+                continue;
+            }
+
+            pricedItems.push(pricedItem);
+            orderedGems.push(gem);
+        }
+
+        if (pricedItems.length === 0) {
+            throw new ApiError(400, 'None of the items in your cart can be ordered', {
+                unavailableItems
+            });
+        }
+
+        const coupon = couponCode
+            ? await resolveCoupon(couponCode, session)
+            : await getCartCoupon(owner, session);
+
+        const order = await saveOrder(owner, pricedItems, orderedGems, { ...details, coupon }, session);
+
+        return { order, unavailableItems };
+    });
+};
+
+// Move an order to a new status if the transition is allowed, recording who made the change
+const changeOrderStatus = async (order, status, { actor, note, trackingNumber, carrier, ...fields }, session) => {
+    if (!Order.canTransition(order.status, status)) {
+        throw new ApiError(400, `Cannot change order status from ${order.status} to ${status}`);
+    }
+
+    const update = {
+        ...fields,
+        status,
+        $push: {
+            statusHistory: { status, actor: actor.id, actorType: actor.type, note }
+        }
+    };
+
+    if (status === 'shipped') {
+        if (!trackingNumber || !carrier) {
+            throw new ApiError(400, 'Tracking number and carrier are required to ship an order');
+        }
+        update.trackingNumber = trackingNumber;
+        update.carrier = carrier;
+        update.shippedAt = new Date();
+    }
+
+    // A rejected return also moves the order back to delivered; keep the original delivery
+    if (status === 'delivered' && order.status === 'shipped') {
+        update.deliveredAt = new Date();
+
+        // Cash on delivery is collected on delivery
+        if (order.paymentMethod === 'cod') {
+            update.paymentStatus = 'paid';
+            update.paidAt = update.deliveredAt;
+        }
+    }
+
+    // Only one concurrent change can move the order out of its current status
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        update,
+        { session, new: true }
+    );
+
+    if (!updated) {
+        throw new ApiError(409, 'Order status changed, please try again');
+    }
+
+    // Confirmed orders are invoiced in the same transaction, so invoice numbers have no gaps
+    if (status === 'confirmed') {
+        const invoice = await issueInvoice(updated, session);
+        updated.invoiceNumber = invoice.number;
+    }
+
+    // Cancelled orders give their stock, sales and coupon use back, and reverse their invoice
+    if (status === 'cancelled') {
+        await releaseCoupon(order, session);
+        await issueCreditNote(updated, { reason: note || 'Order cancelled' }, session);
+
+        const orderItems = await OrderItem.find({ orderId: order._id }).session(session);
+
+        for (const item of orderItems) {
+            await restockGem(item.gemId, item.quantity, { session, unsold: true });
+        }
+    }
+
+    return updated;
+};
+
+// Change the status of any order as staff, in one transaction
+const updateOrderStatus = async (orderId, status, details) => {
+    return runInTransaction(async (session) => {
+        const order = await Order.findOne({ orderId }).session(session);
+
+        if (!order) {
+            throw new ApiError(404, 'Order not found');
+        }
+
+        // A pending return is settled only by approving or rejecting it, so its request isn't left behind
+        if (order.status === 'return_requested') {
+            throw new ApiError(400, 'Order has a pending return; approve or reject the return instead');
+        }
+
+        return changeOrderStatus(order, status, details, session);
+    });
+};
+
+// Cancel the owner's order and restore its stock as one transaction
+const cancelOrder = async (owner, orderId, { actor, note }) => {
+    return runInTransaction(async (session) => {
+        const order = await Order.findOne({ orderId, ...owner }).session(session);
+
+        if (!order) {
+            throw new ApiError(404, 'Order not found');
+        }
+
+        if (order.status === 'cancelled') {
+            throw new ApiError(400, 'Order is already cancelled');
+        }
+
+        if (['shipped', 'delivered'].includes(order.status)) {
+            throw new ApiError(400, 'Cannot cancel order that has been shipped or delivered');
+        }
+
+        return changeOrderStatus(order, 'cancelled', { actor, note }, session);
+    });
+};
+
+module.exports = {
+    runInTransaction,
+    changeOrderStatus,
+    createOrder,
+    checkoutCart,
+    updateOrderStatus,
+    cancelOrder
+};
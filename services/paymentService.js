@@ -0,0 +1,239 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const ApiError = require('../utils/ApiError');
+const { getPaymentProvider } = require('./payments');
+const { runInTransaction, changeOrderStatus } = require('./orderService');
+const { refundCancelledOrder, refundExtraPayment } = require('./refundService');
+
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
+
+const SYSTEM_ACTOR = { type: 'system' };
+
+// Fields of a payment the customer needs to complete it
+const paymentDetails = (payment, intent) => ({
+    id: payment._id,
+    provider: payment.provider,
+    providerPaymentId: payment.providerPaymentId,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    clientSecret: intent.clientSecret,
+    redirectUrl: intent.redirectUrl
+});
+
+// Create a payment intent with the provider for an unpaid online order
+const startPayment = async (order) => {
+    const provider = getPaymentProvider();
+    let intent;
+
+    try {
+        intent = await provider.createIntent({
+            amount: order.total,
+            currency: process.env.PAYMENT_CURRENCY || 'INR',
+            method: order.paymentMethod,
+            reference: order.orderId
+        });
+    } catch (error) {
+        console.error('Create payment intent error:', error);
+        throw new ApiError(502, 'Could not start payment, please try again');
+    }
+
+    const payment = await Payment.create({
+        orderId: order._id,
+        provider: provider.name,
+        providerPaymentId: intent.id,
+        method: order.paymentMethod,
+        amount: order.total,
+        currency: process.env.PAYMENT_CURRENCY || 'INR'
+    });
+
+    return paymentDetails(payment, intent);
+};
+
+// Start payment for a newly placed order; if the provider is down, cancel the order so its stock is released
+const startOrderPayment = async (order) => {
+    try {
+        return await startPayment(order);
+    } catch (error) {
+        await runInTransaction(async (session) => {
+            const current = await Order.findById(order._id).session(session);
+            if (current && current.status === 'pending') {
+                await changeOrderStatus(current, 'cancelled', {
+                    actor: SYSTEM_ACTOR,
+                    note: 'Payment could not be started'
+                }, session);
+            }
+        }).catch(cancelError => console.error('Cancel unpaid order error:', cancelError));
+
+        throw error;
+    }
+};
+
+// Start a new payment attempt for an owner's unpaid order, e.g. after a failed payment
+const retryPayment = async (owner, orderId) => {
+    const order = await Order.findOne({ orderId, ...owner });
+
+    if (!order) {
+        throw new ApiError(404, 'Order not found');
+    }
+
+    if (order.paymentMethod === 'cod') {
+        throw new ApiError(400, 'Cash on delivery orders are paid on delivery');
+    }
+
+    if (order.status !== 'pending' || order.paymentStatus === 'paid') {
+        throw new ApiError(400, 'Order is not awaiting payment');
+    }
+
+    if (order.paymentExpiresAt && order.paymentExpiresAt <= new Date()) {
+        throw new ApiError(400, 'Payment window for this order has expired');
+    }
+
+    return startPayment(order);
+};
+
+// Refund a payment that succeeded after its order stopped waiting for it. A cancelled order is
+// marked paid and refunded in full; any other order was paid already, so only this payment is
+// returned. A refund the provider rejects stays on record as failed for staff to retry.
+const refundLatePayment = async (payment, order) => {
+    try {
+        const refund = order.status === 'cancelled' && order.paymentStatus === 'paid'
+            ? await refundCancelledOrder(order, SYSTEM_ACTOR)
+            : await refundExtraPayment(payment, order, SYSTEM_ACTOR);
+
+        if (refund && refund.status === 'failed') {
+            console.error(`Refund of late payment ${payment._id} for order ${order.orderId} failed and needs staff attention`);
+        }
+    } catch (error) {
+        console.error(`Refund late payment ${payment._id} for order ${order.orderId} error:`, error);
+    }
+};
+
+// Apply a verified provider event: mark the payment and confirm the order it pays for
+const handlePaymentEvent = async ({ paymentId, status, reason }) => {
+    if (!['succeeded', 'failed'].includes(status)) {
+        throw new ApiError(400, 'Unsupported payment status');
+    }
+
+    // Money can still arrive after a payment expired with its order or was reported failed;
+    // otherwise only a pending payment can be settled, so replayed events are ignored
+    const settleable = status === 'succeeded' ? ['pending', 'expired', 'failed'] : ['pending'];
+
+    const result = await runInTransaction(async (session) => {
+        const payment = await Payment.findOneAndUpdate(
+            { providerPaymentId: paymentId, status: { $in: settleable } },
+            {
+                status,
+                ...(status === 'succeeded' && { paidAt: new Date(), $unset: { failureReason: 1 } }),
+                ...(status === 'failed' && { failureReason: reason || 'Payment failed' })
+            },
+            { session, new: true }
+        );
+
+        if (!payment || status === 'failed') {
+            return { payment };
+        }
+
+        let order = await Order.findById(payment.orderId).session(session);
+
+        if (order.status === 'pending' && order.paymentStatus === 'unpaid') {
+            await changeOrderStatus(order, 'confirmed', {
+                actor: SYSTEM_ACTOR,
+                note: 'Payment received',
+                paymentStatus: 'paid',
+                paidAt: payment.paidAt
+            }, session);
+
+            return { payment };
+        }
+
+        // Paid after the order was cancelled: record the money on the order before refunding it
+        if (order.status === 'cancelled' && order.paymentStatus === 'unpaid') {
+            order = await Order.findOneAndUpdate(
+                { _id: order._id, paymentStatus: 'unpaid' },
+                {
+                    paymentStatus: 'paid',
+                    paidAt: payment.paidAt,
+                    $push: {
+                        statusHistory: {
+                            status: order.status,
+                            actorType: SYSTEM_ACTOR.type,
+                            note: 'Payment received after the order was cancelled'
+                        }
+                    }
+                },
+                { session, new: true }
+            ) || order;
+        }
+
+        console.warn(`Payment ${payment._id} succeeded for order ${order.orderId} in status ${order.status}; refunding it`);
+        return { payment, lateOrder: order };
+    });
+
+    if (!result.payment) {
+        if (!(await Payment.exists({ providerPaymentId: paymentId }))) {
+            console.warn(`Payment event for unknown payment ${paymentId}`);
+        }
+        return null;
+    }
+
+    if (result.lateOrder) {
+        await refundLatePayment(result.payment, result.lateOrder);
+    }
+
+    return result.payment;
+};
+
+// Cancel online orders whose payment window has passed and release their stock
+const expireUnpaidOrders = async () => {
+    const orders = await Order.find({
+        status: 'pending',
+        paymentStatus: 'unpaid',
+        paymentExpiresAt: { $lte: new Date() }
+    }).select('_id');
+
+    let expired = 0;
+    for (const { _id } of orders) {
+        try {
+            await runInTransaction(async (session) => {
+                const order = await Order.findById(_id).session(session);
+
+                await changeOrderStatus(order, 'cancelled', {
+                    actor: SYSTEM_ACTOR,
+                    note: 'Payment not received in time'
+                }, session);
+
+                await Payment.updateMany(
+                    { orderId: _id, status: 'pending' },
+                    { status: 'expired' },
+                    { session }
+                );
+            });
+            expired++;
+        } catch (error) {
+            // A payment that landed meanwhile moves the order on; that's expected
+            if (!(error instanceof ApiError)) {
+                console.error('Expire unpaid order error:', error);
+            }
+        }
+    }
+
+    return expired;
+};
+
+// Periodically expire unpaid orders while the server is running
+const startPaymentExpiryJob = () => {
+    const timer = setInterval(() => {
+        expireUnpaidOrders().catch(error => console.error('Payment expiry job error:', error));
+    }, EXPIRY_CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    startOrderPayment,
+    retryPayment,
+    handlePaymentEvent,
+    expireUnpaidOrders,
+    startPaymentExpiryJob
+};
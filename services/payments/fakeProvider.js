@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { safeEqual } = require('../../utils/crypto');
+
+// Local provider for development and tests: intents are created in memory and
+// payments are completed by posting a signed event to the webhook, e.g.
+//   { "paymentId": "fake_pi_...", "status": "succeeded" }
+// with X-Payment-Signature set to signPayload(body).
+const intents = new Map();
+const refunds = [];
+
+const webhookSecret = () => {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+    }
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+// HMAC-SHA256 of the raw request body, hex encoded
+const signPayload = (payload) => {
+    return crypto
+        .createHmac('sha256', webhookSecret())
+        .update(payload)
+        .digest('hex');
+};
+
+const createIntent = async ({ amount, currency, method, reference }) => {
+    const id = 'fake_pi_' + crypto.randomBytes(12).toString('hex');
+    const clientSecret = `${id}_secret_${crypto.randomBytes(12).toString('hex')}`;
+
+    intents.set(id, { amount, currency, method, reference, createdAt: new Date() });
+
+    return { id, clientSecret };
+};
+
+const parseWebhook = (rawBody, headers) => {
+    const signature = headers['x-payment-signature'];
+
+    if (!rawBody || !signature || !safeEqual(signPayload(rawBody), signature)) {
+        return null;
+    }
+
+    const { paymentId, status, reason } = JSON.parse(rawBody.toString());
+    return { paymentId, status, reason };
+};
+
+// Refunds always succeed immediately
+const refund = async ({ paymentId, amount, reference }) => {
+    const id = 'fake_re_' + crypto.randomBytes(12).toString('hex');
+    refunds.push({ id, paymentId, amount, reference, createdAt: new Date() });
+
+    return { id, status: 'succeeded' };
+};
+
+module.exports = {
+    name: 'fake',
+    intents,
+    refunds,
+    signPayload,
+    createIntent,
+    parseWebhook,
+    refund
+};
@@ -0,0 +1,32 @@
+// Payment providers implement:
+//   createIntent({ amount, currency, method, reference }) -> Promise<{ id, clientSecret, redirectUrl? }>
+//   parseWebhook(rawBody, headers) -> { paymentId, status, reason? } or null if the signature is invalid
+//   refund({ paymentId, amount, reference }) -> Promise<{ id, status }>
+// where status is 'succeeded' or 'failed'.
+const providers = {
+    fake: () => require('./fakeProvider')
+};
+
+let provider;
+
+// Register an additional payment provider, e.g. for a gateway SDK
+const registerPaymentProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+// Get the provider selected by PAYMENT_PROVIDER (fake by default)
+const getPaymentProvider = () => {
+    if (!provider) {
+        const name = process.env.PAYMENT_PROVIDER || 'fake';
+        if (!providers[name]) {
+            throw new Error(`Unknown payment provider: ${name}`);
+        }
+        provider = providers[name]();
+    }
+    return provider;
+};
+
+module.exports = {
+    registerPaymentProvider,
+    getPaymentProvider
+};
@@ -0,0 +1,145 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const ApiError = require('../utils/ApiError');
+const { roundPrice } = require('../utils/pricing');
+const { getPaymentProvider } = require('./payments');
+const { changeOrderStatus } = require('./orderService');
+
+// Send a refund back through the provider of the payment it returns.
+// A provider failure is recorded on the refund instead of being thrown.
+const sendProviderRefund = async (refund, payment, reference) => {
+    try {
+        const result = await getPaymentProvider().refund({
+            paymentId: payment.providerPaymentId,
+            amount: refund.amount,
+            reference
+        });
+        refund.providerRefundId = result.id;
+        refund.status = result.status === 'failed' ? 'failed' : 'succeeded';
+    } catch (error) {
+        console.error('Provider refund error:', error);
+        refund.status = 'failed';
+        refund.failureReason = error.message;
+    }
+};
+
+// Refund part or all of a paid order through its payment, or record a manual payout for cash on delivery.
+// A provider failure is recorded on the returned refund instead of being thrown.
+const refundOrder = async (order, { amount, reason, returnRequestId, actor }) => {
+    amount = roundPrice(amount);
+
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        throw new ApiError(400, 'Order has not been paid');
+    }
+
+    if (amount <= 0) {
+        throw new ApiError(400, 'Nothing to refund');
+    }
+
+    // Reserve the amount first so concurrent refunds can't exceed the order total
+    const reserved = await Order.findOneAndUpdate(
+        { _id: order._id, refundedAmount: { $lte: roundPrice(order.total - amount) } },
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+    );
+
+    if (!reserved) {
+        throw new ApiError(400, 'Refund would exceed the amount paid');
+    }
+
+    const payment = order.paymentMethod === 'cod'
+        ? null
+        : await Payment.findOne({ orderId: order._id, status: 'succeeded' }).sort({ paidAt: -1 });
+
+    const refund = await Refund.create({
+        orderId: order._id,
+        paymentId: payment && payment._id,
+        returnRequestId,
+        amount,
+        reason,
+        method: payment ? 'original' : 'manual',
+        provider: payment ? payment.provider : undefined,
+        initiatedBy: actor.id
+    });
+
+    if (payment) {
+        await sendProviderRefund(refund, payment, order.orderId);
+    } else {
+        // Staff pay cash on delivery refunds out of band
+        refund.status = 'succeeded';
+    }
+
+    await refund.save();
+
+    if (refund.status === 'failed') {
+        // Release the reservation so the refund can be retried
+        await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -amount } });
+        return refund;
+    }
+
+    const fullyRefunded = reserved.refundedAmount >= reserved.total;
+    await Order.updateOne(
+        { _id: order._id },
+        { paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded' }
+    );
+
+    // Partial refunds leave the order as it is; a fully returned order is refunded with its last return
+    if ((fullyRefunded || reserved.status === 'returned') && Order.canTransition(reserved.status, 'refunded')) {
+        await changeOrderStatus(reserved, 'refunded', {
+            actor,
+            note: reason
+        }).catch(error => console.error('Mark order refunded error:', error));
+    }
+
+    return refund;
+};
+
+// Refund whatever is left of a paid order that has just been cancelled
+const refundCancelledOrder = async (order, actor) => {
+    if (order.status !== 'cancelled' || !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        return null;
+    }
+
+    return refundOrder(order, {
+        amount: order.total - order.refundedAmount,
+        reason: 'Order cancelled',
+        actor
+    });
+};
+
+// Return a payment that came in for an order already paid some other way, e.g. a second attempt.
+// It was never counted towards the order, so the order's refunded amount is left alone.
+const refundExtraPayment = async (payment, order, actor) => {
+    const refund = await Refund.create({
+        orderId: order._id,
+        paymentId: payment._id,
+        amount: payment.amount,
+        reason: 'Payment received for an order that was already paid',
+        method: 'original',
+        provider: payment.provider,
+        initiatedBy: actor.id
+    });
+
+    await sendProviderRefund(refund, payment, order.orderId);
+    await refund.save();
+
+    return refund;
+};
+
+// Fields of a refund returned to clients
+const refundDetails = (refund) => refund && {
+    id: refund._id,
+    amount: refund.amount,
+    method: refund.method,
+    status: refund.status,
+    failureReason: refund.failureReason,
+    createdAt: refund.createdAt
+};
+
+module.exports = {
+    refundOrder,
+    refundCancelledOrder,
+    refundExtraPayment,
+    refundDetails
+};
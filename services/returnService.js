@@ -0,0 +1,188 @@
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const ReturnRequest = require('../models/ReturnRequest');
+const Gem = require('../models/Gem');
+const ApiError = require('../utils/ApiError');
+const { roundPrice } = require('../utils/pricing');
+const { runInTransaction, changeOrderStatus } = require('./orderService');
+const { refundOrder } = require('./refundService');
+const { issueCreditNote } = require('./invoiceService');
+const { restockGem } = require('./stockService');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS || '7');
+
+// Open a return request for items of the owner's delivered order
+const requestReturn = async (owner, orderId, { items, reason, actor }) => {
+    return runInTransaction(async (session) => {
+        const order = await Order.findOne({ orderId, ...owner }).session(session);
+
+        if (!order) {
+            throw new ApiError(404, 'Order not found');
+        }
+
+        if (order.status !== 'delivered') {
+            throw new ApiError(400, 'Only delivered orders can be returned');
+        }
+
+        // Orders marked delivered before delivery dates were recorded go by their last update
+        const deliveredAt = order.deliveredAt || order.updatedAt;
+        const windowEnd = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        if (windowEnd < new Date()) {
+            throw new ApiError(400, `Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`);
+        }
+
+        const orderItems = await OrderItem.find({ orderId: order._id }).session(session);
+
+        const returnItems = items.map(item => {
+            const orderItem = orderItems.find(o => o._id.toString() === item.orderItemId.toString());
+
+            if (!orderItem) {
+                throw new ApiError(400, 'Item is not part of this order');
+            }
+
+            // Units returned earlier can't be returned again
+            const returnable = orderItem.quantity - orderItem.returnedQuantity;
+            if (returnable <= 0) {
+                throw new ApiError(400, 'This item has already been returned');
+            }
+            if (item.quantity > returnable) {
+                throw new ApiError(400, `Cannot return more than ${returnable} of this item`);
+            }
+
+            return {
+                orderItemId: orderItem._id,
+                gemId: orderItem.gemId,
+                quantity: item.quantity,
+                // What was actually paid per unit, after the line's share of the coupon and with its GST
+                price: roundPrice(
+                    (orderItem.price * orderItem.quantity - orderItem.couponDiscount + orderItem.taxAmount) / orderItem.quantity
+                ),
+                reason: item.reason
+            };
+        });
+
+        if (new Set(returnItems.map(item => item.orderItemId.toString())).size !== returnItems.length) {
+            throw new ApiError(400, 'Each item can only be listed once');
+        }
+
+        const [returnRequest] = await ReturnRequest.create([{
+            orderId: order._id,
+            items: returnItems,
+            reason,
+            refundAmount: roundPrice(
+                returnItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+            )
+        }], { session });
+
+        await changeOrderStatus(order, 'return_requested', { actor, note: reason }, session);
+
+        return returnRequest;
+    });
+};
+
+// Settle an open return request with the given outcome inside a transaction
+const reviewReturn = async (returnRequestId, outcome, { actor, note }, session) => {
+    // Only an open request can be reviewed, so two reviewers can't both act on it
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequestId, status: 'requested' },
+        {
+            status: outcome,
+            reviewedBy: actor.id,
+            reviewedAt: new Date(),
+            reviewNote: note
+        },
+        { session, new: true }
+    );
+
+    if (!returnRequest) {
+        const exists = await ReturnRequest.exists({ _id: returnRequestId }).session(session);
+        throw exists
+            ? new ApiError(400, 'Return request has already been reviewed')
+            : new ApiError(404, 'Return request not found');
+    }
+
+    const order = await Order.findById(returnRequest.orderId).session(session);
+
+    return { returnRequest, order };
+};
+
+// Accept a return: optionally restock the items, credit and refund them. The order is marked returned
+// once every unit has come back; until then it goes back to delivered so the rest can still be returned.
+// The approval stands even if the refund can't be made, so the refund outcome is reported separately.
+const approveReturn = async (returnRequestId, { restock, note, actor }) => {
+    const { returnRequest, order } = await runInTransaction(async (session) => {
+        const reviewed = await reviewReturn(returnRequestId, 'approved', { actor, note }, session);
+
+        // Returned items no longer count as sold; restocking also puts them back on sale
+        for (const item of reviewed.returnRequest.items) {
+            if (restock) {
+                await restockGem(item.gemId, item.quantity, { session, unsold: true });
+            } else {
+                await Gem.updateOne({ _id: item.gemId }, { $inc: { soldCount: -item.quantity } }, { session });
+            }
+        }
+
+        if (restock) {
+            reviewed.returnRequest.restocked = true;
+            await reviewed.returnRequest.save({ session });
+        }
+
+        for (const item of reviewed.returnRequest.items) {
+            await OrderItem.updateOne(
+                { _id: item.orderItemId },
+                { $inc: { returnedQuantity: item.quantity } },
+                { session }
+            );
+        }
+
+        const orderItems = await OrderItem.find({ orderId: reviewed.order._id }).session(session);
+        const fullyReturned = orderItems.every(item => item.returnedQuantity >= item.quantity);
+
+        const returned = await changeOrderStatus(reviewed.order, fullyReturned ? 'returned' : 'delivered', {
+            actor,
+            note: note || (fullyReturned ? 'Return approved' : 'Some items returned')
+        }, session);
+
+        await issueCreditNote(returned, {
+            reason: `Return: ${reviewed.returnRequest.reason}`,
+            returnRequest: reviewed.returnRequest
+        }, session);
+
+        return { returnRequest: reviewed.returnRequest, order: returned };
+    });
+
+    // Talk to the payment provider only after the return is committed
+    let refund = null;
+    let refundError = null;
+    try {
+        refund = await refundOrder(order, {
+            amount: returnRequest.refundAmount,
+            reason: `Return ${returnRequest._id}`,
+            returnRequestId: returnRequest._id,
+            actor
+        });
+    } catch (error) {
+        console.error('Return refund error:', error);
+        refundError = error instanceof ApiError ? error.message : 'Refund could not be issued';
+    }
+
+    return { returnRequest, refund, refundError };
+};
+
+// Decline a return and put the order back to delivered
+const rejectReturn = async (returnRequestId, { note, actor }) => {
+    return runInTransaction(async (session) => {
+        const { returnRequest, order } = await reviewReturn(returnRequestId, 'rejected', { actor, note }, session);
+
+        await changeOrderStatus(order, 'delivered', { actor, note: note || 'Return rejected' }, session);
+
+        return returnRequest;
+    });
+};
+
+module.exports = {
+    RETURN_WINDOW_DAYS,
+    requestReturn,
+    approveReturn,
+    rejectReturn
+};
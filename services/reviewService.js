@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Review = require('../models/Review');
+const Gem = require('../models/Gem');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const ApiError = require('../utils/ApiError');
+const { getStorage } = require('./storage');
+const { removeFiles } = require('./gemImageService');
+
+const extensions = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+};
+
+// Review fields shown to customers; the author is shown by name only
+const reviewDetails = (review) => ({
+    id: review._id,
+    gemId: review.gemId,
+    author: review.userId && review.userId.name,
+    verifiedPurchase: review.verifiedPurchase,
+    rating: review.rating,
+    title: review.title,
+    text: review.text,
+    photos: review.photos,
+    status: review.status,
+    helpfulCount: review.helpfulCount,
+    createdAt: review.createdAt
+});
+
+// Recompute a gem's average rating and review count from its approved reviews
+const refreshGemRating = async (gemId) => {
+    const [summary] = await Review.aggregate([
+        { $match: { gemId: new mongoose.Types.ObjectId(gemId), status: 'approved' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    await Gem.updateOne({ _id: gemId }, {
+        ratingAverage: summary ? Math.round(summary.average * 10) / 10 : 0,
+        ratingCount: summary ? summary.count : 0
+    });
+};
+
+// The user's most recent delivered order in which they kept the gem, if any. Orders that were
+// returned or refunded don't count, and neither do items returned from a partly returned order.
+const findDeliveredPurchase = async (userId, gemId) => {
+    const deliveredOrders = await Order.find({
+        userId,
+        status: { $in: ['delivered', 'return_requested'] },
+        deliveredAt: { $exists: true }
+    })
+        .select('_id')
+        .sort({ deliveredAt: -1 });
+
+    const orderItem = await OrderItem.findOne({
+        gemId,
+        orderId: { $in: deliveredOrders.map(order => order._id) },
+        $expr: { $lt: [{ $ifNull: ['$returnedQuantity', 0] }, '$quantity'] }
+    }).sort({ createdAt: -1 });
+
+    return orderItem && orderItem.orderId;
+};
+
+// Validate and store review photos under reviews/<reviewId>/
+const storePhotos = async (reviewId, files) => {
+    for (const file of files) {
+        try {
+            await sharp(file.buffer).metadata();
+        } catch (error) {
+            throw new ApiError(400, `${file.originalname} is not a valid image`);
+        }
+    }
+
+    const storage = getStorage();
+    const urls = [];
+
+    try {
+        for (const file of files) {
+            const key = `reviews/${reviewId}/${crypto.randomUUID()}${extensions[file.mimetype]}`;
+            urls.push(await storage.save(key, file.buffer, file.mimetype));
+        }
+    } catch (error) {
+        await removeFiles(urls);
+        throw error;
+    }
+
+    return urls;
+};
+
+// Post a review for a gem the user has received; it waits for moderation before it is shown
+const createReview = async (user, gemId, { rating, title, text }, files = []) => {
+    const gem = await Gem.exists({ _id: gemId });
+    if (!gem) {
+        throw new ApiError(404, 'Gem not found');
+    }
+
+    const orderId = await findDeliveredPurchase(user._id, gemId);
+    if (!orderId) {
+        throw new ApiError(403, 'Only customers who have received this gem can review it');
+    }
+
+    if (await Review.exists({ gemId, userId: user._id })) {
+        throw new ApiError(400, 'You have already reviewed this gem');
+    }
+
+    const review = new Review({
+        gemId,
+        userId: user._id,
+        orderId,
+        verifiedPurchase: true,
+        rating,
+        title,
+        text
+    });
+
+    review.photos = await storePhotos(review._id, files);
+
+    try {
+        await review.save();
+    } catch (error) {
+        await removeFiles(review.photos);
+
+        // Lost a race with another review from the same user
+        if (error.code === 11000) {
+            throw new ApiError(400, 'You have already reviewed this gem');
+        }
+        throw error;
+    }
+
+    return review;
+};
+
+// Approve or reject a review and update the gem's rating
+const moderateReview = async (reviewId, status, { actor, note }) => {
+    const review = await Review.findByIdAndUpdate(reviewId, {
+        status,
+        moderatedBy: actor.id,
+        moderatedAt: new Date(),
+        moderationNote: note
+    }, { new: true });
+
+    if (!review) {
+        throw new ApiError(404, 'Review not found');
+    }
+
+    await refreshGemRating(review.gemId);
+
+    return review;
+};
+
+// Delete a review with its photos and update the gem's rating
+const deleteReview = async (review) => {
+    await review.deleteOne();
+    await removeFiles(review.photos);
+
+    if (review.status === 'approved') {
+        await refreshGemRating(review.gemId);
+    }
+};
+
+// Count a user's helpful vote once; authors can't vote for their own review
+const voteHelpful = async (reviewId, userId) => {
+    const review = await Review.findById(reviewId);
+
+    if (!review || review.status !== 'approved') {
+        throw new ApiError(404, 'Review not found');
+    }
+
+    if (review.userId.equals(userId)) {
+        throw new ApiError(400, 'You cannot vote for your own review');
+    }
+
+    const updated = await Review.findOneAndUpdate(
+        { _id: reviewId, helpfulVoters: { $ne: userId } },
+        { $push: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new ApiError(400, 'You have already voted for this review');
+    }
+
+    return updated;
+};
+
+module.exports = {
+    reviewDetails,
+    refreshGemRating,
+    createReview,
+    moderateReview,
+    deleteReview,
+    voteHelpful
+};
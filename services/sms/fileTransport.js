@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs/promises');
+
+// Writes each SMS as a JSON file - for local development
+const smsDir = path.resolve(process.env.SMS_FILE_DIR || 'sms');
+
+const send = async ({ to, body }) => {
+    const id = crypto.randomUUID();
+
+    await fs.mkdir(smsDir, { recursive: true });
+    await fs.writeFile(
+        path.join(smsDir, `${Date.now()}-${to.replace(/[^0-9+]/g, '')}.json`),
+        JSON.stringify({ id, to, body, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id, status: 'delivered' };
+};
+
+module.exports = {
+    name: 'file',
+    smsDir,
+    send
+};
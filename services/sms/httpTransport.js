@@ -0,0 +1,38 @@
+// Sends SMS through an HTTP gateway that accepts a JSON POST:
+//   { to, message, sender } -> { id, status }
+// The field names of the response can be changed with SMS_HTTP_ID_FIELD and SMS_HTTP_STATUS_FIELD.
+const send = async ({ to, body }) => {
+    if (!process.env.SMS_HTTP_URL) {
+        throw new Error('SMS_HTTP_URL is not configured');
+    }
+
+    const response = await fetch(process.env.SMS_HTTP_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            [process.env.SMS_HTTP_AUTH_HEADER || 'Authorization']: process.env.SMS_HTTP_API_KEY || ''
+        },
+        body: JSON.stringify({
+            to,
+            message: body,
+            sender: process.env.SMS_SENDER_ID
+        }),
+        signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    return {
+        id: result[process.env.SMS_HTTP_ID_FIELD || 'id'],
+        status: result[process.env.SMS_HTTP_STATUS_FIELD || 'status'] || 'sent'
+    };
+};
+
+module.exports = {
+    name: 'http',
+    send
+};
@@ -0,0 +1,38 @@
+// SMS transports implement:
+//   send({ to, body }) -> Promise<{ id, status }>
+// where status is 'sent' (accepted by the provider) or 'delivered'.
+const transports = {
+    memory: () => require('./memoryTransport'),
+    file: () => require('./fileTransport'),
+    http: () => require('./httpTransport')
+};
+
+let transport;
+
+// Register an additional SMS transport, e.g. for a provider SDK
+const registerSmsTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+// Get the transport selected by SMS_TRANSPORT (file by default)
+const getSmsTransport = () => {
+    if (!transport) {
+        const name = process.env.SMS_TRANSPORT || 'file';
+        if (!transports[name]) {
+            throw new Error(`Unknown SMS transport: ${name}`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+// Send a text message through the configured transport
+const sendSms = async ({ to, body }) => {
+    return getSmsTransport().send({ to, body });
+};
+
+module.exports = {
+    registerSmsTransport,
+    getSmsTransport,
+    sendSms
+};
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Keeps sent messages in memory - for tests
+const messages = [];
+
+const send = async ({ to, body }) => {
+    const id = crypto.randomUUID();
+    messages.push({ id, to, body, sentAt: new Date() });
+    return { id, status: 'delivered' };
+};
+
+module.exports = {
+    name: 'memory',
+    messages,
+    send
+};
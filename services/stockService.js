@@ -0,0 +1,46 @@
+const Gem = require('../models/Gem');
+const { sendBackInStockAlerts } = require('./gemAlertService');
+
+// Gems restocked inside each open transaction, checked for back-in-stock alerts once it ends
+const restockedInSession = new WeakMap();
+
+// Alert back-in-stock subscribers of the gems that can be bought again, in the background so a
+// slow notifier doesn't hold up the cancellation or return that restocked them
+const alertBackInStock = (gemIds) => {
+    Gem.find({ _id: { $in: [...gemIds] }, stock: { $gt: 0 }, availability: true })
+        .then(gems => Promise.all(gems.map(gem => sendBackInStockAlerts(gem))))
+        .catch(error => console.error('Gem alerts error:', error));
+};
+
+// Put units of a gem back into stock, e.g. from a cancelled order or an approved return.
+// unsold also takes them off the gem's sales. A gem that was out of stock alerts its back-in-stock
+// subscribers once the transaction has ended; if it was aborted the gem is still out of stock,
+// so nobody is alerted.
+const restockGem = async (gemId, quantity, { session, unsold = false } = {}) => {
+    const previous = await Gem.findOneAndUpdate(
+        { _id: gemId },
+        { $inc: { stock: quantity, ...(unsold && { soldCount: -quantity }) } },
+        { session }
+    ).select('stock');
+
+    if (!previous || previous.stock > 0) {
+        return;
+    }
+
+    if (!session) {
+        alertBackInStock([gemId]);
+        return;
+    }
+
+    // Transactions can be retried, so collect the gems and check them once per session
+    if (!restockedInSession.has(session)) {
+        const gemIds = new Set();
+        restockedInSession.set(session, gemIds);
+        session.once('ended', () => alertBackInStock(gemIds));
+    }
+    restockedInSession.get(session).add(gemId.toString());
+};
+
+module.exports = {
+    restockGem
+};
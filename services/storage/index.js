@@ -0,0 +1,30 @@
+// Storage adapters implement:
+//   save(key, buffer, contentType) -> Promise<url>
+//   remove(url) -> Promise<void>
+const drivers = {
+    local: () => require('./localStorage')
+};
+
+let storage;
+
+// Register an additional storage driver, e.g. for S3 or Cloudinary
+const registerStorageDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+// Get the adapter selected by STORAGE_DRIVER (local disk by default)
+const getStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!drivers[driver]) {
+            throw new Error(`Unknown storage driver: ${driver}`);
+        }
+        storage = drivers[driver]();
+    }
+    return storage;
+};
+
+module.exports = {
+    registerStorageDriver,
+    getStorage
+};
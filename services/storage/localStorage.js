@@ -0,0 +1,38 @@
+const path = require('path');
+const fs = require('fs/promises');
+
+// Stores files on local disk and serves them through express.static in server.js
+const uploadDir = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+const baseUrl = (process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/$/, '');
+
+// Resolve a storage key to a path, refusing anything outside the upload directory
+const resolveKey = (key) => {
+    const filePath = path.resolve(uploadDir, key);
+    if (!filePath.startsWith(uploadDir + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+// Write a file and return its public URL
+const save = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${baseUrl}/${key}`;
+};
+
+// Delete a file by the URL returned from save; URLs this adapter didn't issue are ignored
+const remove = async (url) => {
+    if (!url.startsWith(baseUrl + '/')) return;
+
+    await fs.rm(resolveKey(url.slice(baseUrl.length + 1)), { force: true });
+};
+
+module.exports = {
+    name: 'local',
+    uploadDir,
+    baseUrl,
+    save,
+    remove
+};
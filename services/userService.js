@@ -0,0 +1,36 @@
+const User = require('../models/User');
+
+// Make the account named by ADMIN_EMAIL an admin, so a fresh deployment has someone who can
+// assign roles. The account must exist and have verified its email, so nobody can claim the
+// address by registering it first. Returns the promoted user, or null if nothing changed.
+const promoteConfiguredAdmin = async () => {
+    const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+    if (!email) {
+        return null;
+    }
+
+    const user = await User.findOne({ email });
+
+    if (!user) {
+        console.warn(`ADMIN_EMAIL ${email} has no account yet; register it and restart to make it an admin`);
+        return null;
+    }
+
+    if (!user.emailVerified) {
+        console.warn(`ADMIN_EMAIL ${email} has not verified its email; verify it and restart to make it an admin`);
+        return null;
+    }
+
+    if (user.role === 'admin') {
+        return null;
+    }
+
+    await User.updateOne({ _id: user._id }, { role: 'admin' });
+    user.role = 'admin';
+
+    return user;
+};
+
+module.exports = {
+    promoteConfiguredAdmin
+};
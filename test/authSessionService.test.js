@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { protect } = require('../middleware/auth');
+const { fakeQuery, rejectsWithApiError } = require('./helpers');
+const { createSession, rotateRefreshToken } = require('../services/authSessionService');
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const request = { get: () => 'test-agent', ip: '127.0.0.1' };
+
+describe('createSession', () => {
+    it('stores only a hash of the refresh token and binds the access token to the session', async (t) => {
+        const create = t.mock.method(AuthSession, 'create', async (fields) => ({ _id: sessionId, ...fields }));
+
+        const { token, refreshToken } = await createSession({ _id: userId }, request);
+
+        const [stored] = create.mock.calls[0].arguments;
+        assert.equal(stored.refreshTokenHash, User.hashToken(refreshToken));
+        assert.ok(!Object.values(stored).includes(refreshToken));
+        assert.ok(stored.expiresAt > new Date());
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        assert.equal(decoded.id, userId.toString());
+        assert.equal(decoded.sid, sessionId.toString());
+    });
+});
+
+describe('rotateRefreshToken', () => {
+    it('swaps the refresh token for a new pair and remembers the old one', async (t) => {
+        const update = t.mock.method(AuthSession, 'findOneAndUpdate', () => fakeQuery({ _id: sessionId, userId }));
+
+        const { token, refreshToken } = await rotateRefreshToken('old-token');
+
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.equal(filter.refreshTokenHash, User.hashToken('old-token'));
+        assert.equal(filter.revokedAt, null);
+        assert.equal(changes.refreshTokenHash, User.hashToken(refreshToken));
+        assert.deepEqual(changes.$push, { previousTokenHashes: User.hashToken('old-token') });
+        assert.notEqual(refreshToken, 'old-token');
+        assert.equal(jwt.verify(token, process.env.JWT_SECRET).sid, sessionId.toString());
+    });
+
+    it('revokes the whole session when a rotated token is used again', async (t) => {
+        const update = t.mock.method(AuthSession, 'findOneAndUpdate', (filter) => fakeQuery(
+            filter.previousTokenHashes ? { _id: sessionId, userId } : null
+        ));
+        const warn = t.mock.method(console, 'warn', () => {});
+
+        await rejectsWithApiError(rotateRefreshToken('stolen-token'), 401, 'Invalid or expired refresh token');
+
+        const [filter, changes] = update.mock.calls[1].arguments;
+        assert.deepEqual(filter, { previousTokenHashes: User.hashToken('stolen-token'), revokedAt: null });
+        assert.equal(changes.revokedReason, 'token_reuse');
+        assert.ok(changes.revokedAt instanceof Date);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('rejects unknown and expired tokens without revoking anything', async (t) => {
+        t.mock.method(AuthSession, 'findOneAndUpdate', () => fakeQuery(null));
+        const warn = t.mock.method(console, 'warn', () => {});
+
+        await rejectsWithApiError(rotateRefreshToken('unknown-token'), 401);
+        assert.equal(warn.mock.callCount(), 0);
+    });
+});
+
+describe('protect', () => {
+    // Run the middleware for an access token and report the response status, or 'next'
+    const authenticate = (token) => new Promise(resolve => {
+        const req = { headers: { authorization: `Bearer ${token}` } };
+        const res = {
+            status: (code) => ({ json: () => resolve(code) })
+        };
+        protect(req, res, () => resolve('next'));
+    });
+
+    const stubUser = (t) => t.mock.method(User, 'findById', () => fakeQuery({
+        _id: userId,
+        changedPasswordAfter: () => false
+    }));
+
+    it('accepts tokens of active sessions', async (t) => {
+        stubUser(t);
+        t.mock.method(AuthSession, 'exists', async () => ({ _id: sessionId }));
+
+        assert.equal(await authenticate(jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)), 'next');
+    });
+
+    it('rejects tokens of revoked sessions and tokens without a session', async (t) => {
+        stubUser(t);
+        const exists = t.mock.method(AuthSession, 'exists', async () => null);
+
+        assert.equal(await authenticate(jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)), 401);
+        assert.deepEqual(exists.mock.calls[0].arguments[0], { _id: sessionId.toString(), userId, revokedAt: null });
+        assert.equal(await authenticate(jwt.sign({ id: userId }, process.env.JWT_SECRET)), 401);
+    });
+});
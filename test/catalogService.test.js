@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchedData, validationResult } = require('express-validator');
+const { catalogValidation, buildCatalogFilter } = require('../services/catalogService');
+
+// Validated parameters for a query string, as the gem listing routes see them
+const validate = async (query) => {
+    const req = { query, body: {} };
+
+    for (const chain of catalogValidation('query')) {
+        await chain.run(req);
+    }
+
+    return {
+        errors: validationResult(req).array().map(error => error.msg),
+        params: matchedData(req, { locations: ['query'] })
+    };
+};
+
+describe('catalog parameters', () => {
+    it('keeps a price bound of 0', async () => {
+        const { errors, params } = await validate({ minPrice: '0', maxPrice: '0' });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(params, { minPrice: 0, maxPrice: 0 });
+        assert.deepEqual(buildCatalogFilter(params).effectivePrice, { $gte: 0, $lte: 0 });
+    });
+
+    it('keeps availability=false', async () => {
+        const { params } = await validate({ availability: 'false' });
+
+        assert.equal(buildCatalogFilter(params).availability, false);
+    });
+
+    it('ignores empty parameters', async () => {
+        const { errors, params } = await validate({ minPrice: '', maxPrice: '', availability: '', sort: '', page: '' });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(params, {});
+    });
+
+    it('rejects malformed values', async () => {
+        const { errors } = await validate({ minPrice: '-1', availability: 'maybe' });
+
+        assert.deepEqual(errors, ['Minimum price must be a non-negative number', 'Availability must be true or false']);
+    });
+
+    it('rejects a maximum price below the minimum', async () => {
+        const { errors } = await validate({ minPrice: '500', maxPrice: '100' });
+
+        assert.deepEqual(errors, ['Maximum price cannot be less than minimum price']);
+    });
+});
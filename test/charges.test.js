@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateOrderCharges, getShippingZone } = require('../utils/charges');
+
+const sapphire = { category: 'Sapphire' };
+const ring = { category: 'Jewellery' };
+
+describe('calculateOrderCharges', () => {
+    let sellerPincode;
+
+    beforeEach(() => {
+        sellerPincode = process.env.SELLER_PINCODE;
+        process.env.SELLER_PINCODE = '110001';
+    });
+
+    afterEach(() => {
+        if (sellerPincode === undefined) delete process.env.SELLER_PINCODE;
+        else process.env.SELLER_PINCODE = sellerPincode;
+    });
+
+    it('charges GST by HSN code and ships free above the zone threshold', () => {
+        const charges = calculateOrderCharges([{ gem: sapphire, quantity: 2, price: 1000 }], { pincode: '110020' });
+
+        assert.deepEqual(charges.items, [{ hsnCode: '7103', taxRate: 0.25, taxableValue: 2000, taxAmount: 5 }]);
+        assert.equal(charges.subtotal, 2000);
+        assert.equal(charges.tax, 5);
+        assert.equal(charges.shippingZone, 'local');
+        assert.equal(charges.shipping, 0);
+        assert.equal(charges.codCharge, 0);
+        assert.equal(charges.total, 2005);
+    });
+
+    it('taxes each line after its coupon share and adds shipping and the COD charge untaxed', () => {
+        const charges = calculateOrderCharges(
+            [{ gem: ring, quantity: 1, price: 1000, couponDiscount: 100 }],
+            { pincode: '400001', paymentMethod: 'cod' }
+        );
+
+        assert.deepEqual(charges.items, [{ hsnCode: '7113', taxRate: 3, taxableValue: 900, taxAmount: 27 }]);
+        assert.equal(charges.discount, 100);
+        assert.equal(charges.shippingZone, 'national');
+        assert.equal(charges.shipping, 120);
+        assert.equal(charges.codCharge, 50);
+        assert.equal(charges.total, 1097);
+    });
+
+    it('decides free shipping on the value after the coupon', () => {
+        const charges = calculateOrderCharges(
+            [{ gem: sapphire, quantity: 1, price: 2000, couponDiscount: 1 }],
+            { pincode: '110020' }
+        );
+
+        assert.equal(charges.shipping, 50);
+    });
+
+    it('prefers the gem HSN code over its category', () => {
+        const charges = calculateOrderCharges([{ gem: { category: 'Pearl', hsnCode: '7103' }, quantity: 1, price: 400 }]);
+
+        assert.equal(charges.items[0].hsnCode, '7103');
+        assert.equal(charges.items[0].taxRate, 0.25);
+    });
+});
+
+describe('getShippingZone', () => {
+    let sellerPincode;
+
+    beforeEach(() => {
+        sellerPincode = process.env.SELLER_PINCODE;
+    });
+
+    afterEach(() => {
+        if (sellerPincode === undefined) delete process.env.SELLER_PINCODE;
+        else process.env.SELLER_PINCODE = sellerPincode;
+    });
+
+    it('places pincodes relative to the seller', () => {
+        process.env.SELLER_PINCODE = '110001';
+
+        assert.equal(getShippingZone('110092'), 'local');
+        assert.equal(getShippingZone('122001'), 'regional');
+        assert.equal(getShippingZone('560001'), 'national');
+        assert.equal(getShippingZone('190001'), 'remote');
+        assert.equal(getShippingZone('744101'), 'remote');
+    });
+
+    it('ships nationally when the seller pincode is not configured', () => {
+        delete process.env.SELLER_PINCODE;
+
+        assert.equal(getShippingZone('110092'), 'national');
+    });
+});
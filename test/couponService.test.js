@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CouponRedemption = require('../models/CouponRedemption');
+const ApiError = require('../utils/ApiError');
+const { evaluateCoupon, allocateDiscount } = require('../services/couponService');
+
+const owner = { userId: 'user-1' };
+const sapphire = { category: 'Sapphire', whomToUse: ['Taurus'] };
+const ruby = { category: 'Ruby', whomToUse: ['Leo'] };
+const lines = [
+    { gem: sapphire, quantity: 1, price: 1000 },
+    { gem: ruby, quantity: 2, price: 500 }
+];
+
+const coupon = (fields) => ({
+    _id: 'coupon-1',
+    active: true,
+    discountType: 'percentage',
+    discountValue: 10,
+    minOrderValue: 0,
+    categories: [],
+    zodiacSigns: [],
+    usedCount: 0,
+    perUserLimit: null,
+    ...fields
+});
+
+const rejectsWith = (promise, message) => assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 400);
+    assert.equal(error.message, message);
+    return true;
+});
+
+describe('allocateDiscount', () => {
+    it('splits a discount in proportion to the line totals', () => {
+        assert.deepEqual(allocateDiscount(300, [1000, 2000]), [100, 200]);
+    });
+
+    it('puts the rounding remainder on the last line', () => {
+        const allocations = allocateDiscount(100, [1, 1, 1]);
+
+        assert.deepEqual(allocations, [33.33, 33.33, 33.34]);
+    });
+
+    it('gives nothing to lines with no total', () => {
+        assert.deepEqual(allocateDiscount(50, [0, 100, 0]), [0, 50, 0]);
+    });
+});
+
+describe('evaluateCoupon', () => {
+    it('takes a percentage off the subtotal and allocates it over the lines', async () => {
+        assert.deepEqual(await evaluateCoupon(coupon(), owner, lines), {
+            discount: 200,
+            allocations: [100, 100]
+        });
+    });
+
+    it('caps a percentage discount at the maximum discount', async () => {
+        const { discount } = await evaluateCoupon(coupon({ maxDiscount: 150 }), owner, lines);
+
+        assert.equal(discount, 150);
+    });
+
+    it('never discounts more than the eligible subtotal', async () => {
+        const { discount } = await evaluateCoupon(coupon({ discountType: 'fixed', discountValue: 5000 }), owner, lines);
+
+        assert.equal(discount, 2000);
+    });
+
+    it('only discounts lines in the coupon categories and zodiac signs', async () => {
+        assert.deepEqual((await evaluateCoupon(coupon({ categories: ['Ruby'] }), owner, lines)).allocations, [0, 100]);
+        assert.deepEqual((await evaluateCoupon(coupon({ zodiacSigns: ['Taurus'] }), owner, lines)).allocations, [100, 0]);
+    });
+
+    it('rejects inactive, expired and used up coupons', async () => {
+        await rejectsWith(evaluateCoupon(coupon({ active: false }), owner, lines), 'Invalid coupon code');
+        await rejectsWith(
+            evaluateCoupon(coupon({ validUntil: new Date(Date.now() - 1000) }), owner, lines),
+            'Coupon is not valid at this time'
+        );
+        await rejectsWith(
+            evaluateCoupon(coupon({ usageLimit: 5, usedCount: 5 }), owner, lines),
+            'Coupon usage limit has been reached'
+        );
+    });
+
+    it('rejects orders below the minimum order value', async () => {
+        await rejectsWith(
+            evaluateCoupon(coupon({ minOrderValue: 5000 }), owner, lines),
+            'Coupon requires a minimum order value of 5000'
+        );
+    });
+
+    it('rejects carts with no eligible item', async () => {
+        await rejectsWith(
+            evaluateCoupon(coupon({ categories: ['Emerald'] }), owner, lines),
+            'Coupon does not apply to any item in your cart'
+        );
+    });
+
+    it('rejects a customer who has used up their redemptions', async (t) => {
+        t.mock.method(CouponRedemption, 'countDocuments', () => ({ session: async () => 1 }));
+
+        await rejectsWith(evaluateCoupon(coupon({ perUserLimit: 1 }), owner, lines), 'You have already used this coupon');
+    });
+});
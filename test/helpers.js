@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiError = require('../utils/ApiError');
+
+// Stand-in for a mongoose query: chainable, and resolves to result (or what result() returns)
+const fakeQuery = (result) => {
+    const query = {
+        then: (resolve, reject) => Promise.resolve()
+            .then(() => (typeof result === 'function' ? result() : result))
+            .then(resolve, reject)
+    };
+
+    ['session', 'select', 'sort', 'populate', 'skip', 'limit', 'lean'].forEach(method => {
+        query[method] = () => query;
+    });
+
+    return query;
+};
+
+// Run transactions without a database: each session runs its callback once and emits
+// 'ended' when it is ended, like the driver's. Returns the sessions started so far.
+const mockTransactions = (t) => {
+    const sessions = [];
+
+    t.mock.method(mongoose, 'startSession', async () => {
+        const session = new EventEmitter();
+        session.withTransaction = async (fn) => fn();
+        session.endSession = async () => {
+            session.ended = true;
+            session.emit('ended');
+        };
+        sessions.push(session);
+        return session;
+    });
+
+    return sessions;
+};
+
+// Assert that a promise rejects with an ApiError of the given status and message
+const rejectsWithApiError = (promise, status, message) => assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ApiError, error);
+    assert.equal(error.status, status);
+    if (message) assert.equal(error.message, message);
+    return true;
+});
+
+// Serve a router at path on a free port; returns its URL and a close function for an after hook
+const serveRouter = async (path, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}${path}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+// POST a JSON body and return the status and parsed response
+const postJson = async (url, body) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    return { status: response.status, body: await response.json() };
+};
+
+module.exports = {
+    fakeQuery,
+    mockTransactions,
+    rejectsWithApiError,
+    serveRouter,
+    postJson
+};
@@ -0,0 +1,249 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const CartItem = require('../models/CartItem');
+const CartCoupon = require('../models/CartCoupon');
+const Gem = require('../models/Gem');
+const { fakeQuery, mockTransactions, rejectsWithApiError } = require('./helpers');
+const { createOrder, checkoutCart, updateOrderStatus } = require('../services/orderService');
+
+const staff = { id: 'staff-1', type: 'staff' };
+
+describe('updateOrderStatus', () => {
+    it('moves an order to an allowed status and records who did it', async (t) => {
+        mockTransactions(t);
+        const order = { _id: 'order-1', orderId: 'ORD-1', status: 'processing' };
+        t.mock.method(Order, 'findOne', () => fakeQuery(order));
+        const update = t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery({ ...order, status: 'shipped' }));
+
+        await updateOrderStatus('ORD-1', 'shipped', { actor: staff, trackingNumber: 'TRK1', carrier: 'Blue Dart' });
+
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: 'order-1', status: 'processing' });
+        assert.equal(changes.status, 'shipped');
+        assert.equal(changes.trackingNumber, 'TRK1');
+        assert.deepEqual(changes.$push.statusHistory, { status: 'shipped', actor: 'staff-1', actorType: 'staff', note: undefined });
+    });
+
+    it('rejects transitions the status table does not allow', async (t) => {
+        mockTransactions(t);
+        t.mock.method(Order, 'findOne', () => fakeQuery({ _id: 'order-1', status: 'shipped' }));
+        const update = t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery(null));
+
+        await rejectsWithApiError(
+            updateOrderStatus('ORD-1', 'cancelled', { actor: staff }),
+            400,
+            'Cannot change order status from shipped to cancelled'
+        );
+        assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('leaves an order with a pending return to the return review', async (t) => {
+        mockTransactions(t);
+        t.mock.method(Order, 'findOne', () => fakeQuery({ _id: 'order-1', status: 'return_requested' }));
+        const update = t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery(null));
+
+        await rejectsWithApiError(
+            updateOrderStatus('ORD-1', 'delivered', { actor: staff }),
+            400,
+            'Order has a pending return; approve or reject the return instead'
+        );
+        assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('reports a missing order', async (t) => {
+        mockTransactions(t);
+        t.mock.method(Order, 'findOne', () => fakeQuery(null));
+
+        await rejectsWithApiError(updateOrderStatus('ORD-404', 'confirmed', { actor: staff }), 404, 'Order not found');
+    });
+});
+
+describe('createOrder', () => {
+    const owner = { userId: new mongoose.Types.ObjectId() };
+    const actor = { id: owner.userId, type: 'user' };
+    const shippingAddress = { firstName: 'Asha', lastName: 'Rao', phone: '+919876543210', address: '1 MG Road', city: 'Jaipur', state: 'Rajasthan', pincode: '302001' };
+    const ruby = {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Ruby',
+        category: 'Ruby',
+        price: 1000,
+        discount: 10,
+        discountType: 'percentage',
+        effectivePrice: 900,
+        savingsAmount: 100,
+        savingsPercent: 10
+    };
+
+    // Stub every write of a successful checkout and return the stubs
+    const stubCheckout = (t, { gems = [ruby], reserved = true } = {}) => {
+        const sessions = mockTransactions(t);
+
+        return {
+            sessions,
+            reserve: t.mock.method(Gem, 'findOneAndUpdate', () => fakeQuery(reserved ? {} : null)),
+            findGems: t.mock.method(Gem, 'find', () => fakeQuery(gems)),
+            saveOrder: t.mock.method(Order.prototype, 'save', async function () {
+                return this;
+            }),
+            insertItems: t.mock.method(OrderItem, 'insertMany', async () => []),
+            clearCart: t.mock.method(CartItem, 'deleteMany', async () => ({}))
+        };
+    };
+
+    it('reserves stock only while enough is left, inside the transaction', async (t) => {
+        const { sessions, reserve } = stubCheckout(t);
+
+        await createOrder(owner, { items: [{ gemId: ruby._id, quantity: 2 }], shippingAddress, paymentMethod: 'cod', actor });
+
+        const [filter, update, options] = reserve.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: ruby._id, availability: true, stock: { $gte: 2 } });
+        assert.deepEqual(update, { $inc: { stock: -2, soldCount: 2 } });
+        assert.equal(options.session, sessions[0]);
+        assert.ok(sessions[0].ended);
+    });
+
+    it('prices items from the catalog and ignores prices sent by the client', async (t) => {
+        const { insertItems, clearCart } = stubCheckout(t);
+
+        const order = await createOrder(owner, {
+            items: [{ gemId: ruby._id, quantity: 2, price: 1 }],
+            shippingAddress,
+            paymentMethod: 'cod',
+            actor
+        });
+
+        const [item] = insertItems.mock.calls[0].arguments[0];
+        assert.equal(item.orderId, order._id);
+        assert.equal(item.listPrice, 1000);
+        assert.equal(item.discountAmount, 100);
+        assert.equal(item.price, 900);
+        assert.equal(order.subtotal, 1800);
+        assert.equal(order.total, order.subtotal + order.tax + order.shippingCharge + order.codCharge);
+        assert.deepEqual(clearCart.mock.calls[0].arguments[0], { ...owner, gemId: { $in: [ruby._id] } });
+    });
+
+    it('gives online orders a payment deadline', async (t) => {
+        stubCheckout(t);
+
+        const order = await createOrder(owner, { items: [{ gemId: ruby._id, quantity: 1 }], shippingAddress, paymentMethod: 'upi', actor });
+
+        assert.ok(order.paymentExpiresAt > new Date());
+    });
+
+    it('fails the whole order when a gem runs out of stock', async (t) => {
+        const { sessions, saveOrder, insertItems } = stubCheckout(t, { reserved: false });
+
+        await rejectsWithApiError(
+            createOrder(owner, { items: [{ gemId: ruby._id, quantity: 5 }], shippingAddress, paymentMethod: 'cod', actor }),
+            400,
+            'Insufficient stock for Ruby'
+        );
+        assert.equal(saveOrder.mock.callCount(), 0);
+        assert.equal(insertItems.mock.callCount(), 0);
+        assert.ok(sessions[0].ended);
+    });
+
+    it('rejects gems that do not exist', async (t) => {
+        const { reserve } = stubCheckout(t, { gems: [] });
+
+        await rejectsWithApiError(
+            createOrder(owner, { items: [{ gemId: ruby._id, quantity: 1 }], shippingAddress, paymentMethod: 'cod', actor }),
+            400,
+            'One or more gems not found'
+        );
+        assert.equal(reserve.mock.callCount(), 0);
+    });
+
+    it('rejects the order when the client saw a different total', async (t) => {
+        const { saveOrder } = stubCheckout(t);
+
+        await assert.rejects(
+            createOrder(owner, { items: [{ gemId: ruby._id, quantity: 1 }], shippingAddress, paymentMethod: 'cod', expectedTotal: '1', actor }),
+            (error) => {
+                assert.equal(error.status, 409);
+                assert.equal(error.data.expectedTotal, 1);
+                assert.equal(error.data.items[0].price, 900);
+                return true;
+            }
+        );
+        assert.equal(saveOrder.mock.callCount(), 0);
+    });
+});
+
+describe('checkoutCart', () => {
+    const owner = { userId: new mongoose.Types.ObjectId() };
+    const actor = { id: owner.userId, type: 'user' };
+    const shippingAddress = { firstName: 'Asha', lastName: 'Rao', phone: '+919876543210', address: '1 MG Road', city: 'Jaipur', state: 'Rajasthan', pincode: '302001' };
+    const gem = (name, fields) => ({
+        _id: new mongoose.Types.ObjectId(),
+        name,
+        category: name,
+        price: 500,
+        effectivePrice: 500,
+        savingsAmount: 0,
+        savingsPercent: 0,
+        availability: true,
+        ...fields
+    });
+
+    it('orders the lines that can be bought and reports the rest', async (t) => {
+        mockTransactions(t);
+        const pearl = gem('Pearl');
+        const opal = gem('Opal');
+        const coral = gem('Coral', { availability: false });
+        const cartItems = [
+            { _id: 'line-1', gemId: pearl, quantity: 1 },
+            { _id: 'line-2', gemId: opal, quantity: 3 },
+            { _id: 'line-3', gemId: coral, quantity: 1 },
+            { _id: 'line-4', gemId: null, quantity: 1 }
+        ];
+
+        t.mock.method(CartItem, 'find', () => fakeQuery(cartItems));
+        t.mock.method(CartCoupon, 'findOne', () => fakeQuery(null));
+        // Opal sold out meanwhile
+        const reserve = t.mock.method(Gem, 'findOneAndUpdate', (filter) => fakeQuery(filter._id === opal._id ? null : {}));
+        t.mock.method(Order.prototype, 'save', async function () {
+            return this;
+        });
+        const insertItems = t.mock.method(OrderItem, 'insertMany', async () => []);
+        const clearCart = t.mock.method(CartItem, 'deleteMany', async () => ({}));
+
+        const { order, unavailableItems } = await checkoutCart(owner, { shippingAddress, paymentMethod: 'cod', actor });
+
+        assert.equal(reserve.mock.callCount(), 2);
+        assert.deepEqual(insertItems.mock.calls[0].arguments[0].map(item => item.gemId), [pearl._id]);
+        assert.equal(order.subtotal, 500);
+        assert.deepEqual(unavailableItems.map(item => [item.cartItemId, item.message]), [
+            ['line-2', 'Insufficient stock for Opal'],
+            ['line-3', 'Coral is not available'],
+            ['line-4', 'Gem no longer exists']
+        ]);
+        // Only the ordered line leaves the cart
+        assert.deepEqual(clearCart.mock.calls[0].arguments[0], { ...owner, gemId: { $in: [pearl._id] } });
+    });
+
+    it('rejects a cart with nothing that can be ordered', async (t) => {
+        mockTransactions(t);
+        t.mock.method(CartItem, 'find', () => fakeQuery([{ _id: 'line-1', gemId: gem('Coral', { availability: false }), quantity: 1 }]));
+        const saveOrder = t.mock.method(Order.prototype, 'save', async function () {
+            return this;
+        });
+
+        await rejectsWithApiError(
+            checkoutCart(owner, { shippingAddress, paymentMethod: 'cod', actor }),
+            400,
+            'None of the items in your cart can be ordered'
+        );
+        assert.equal(saveOrder.mock.callCount(), 0);
+    });
+
+    it('rejects an empty cart', async (t) => {
+        mockTransactions(t);
+        t.mock.method(CartItem, 'find', () => fakeQuery([]));
+
+        await rejectsWithApiError(checkoutCart(owner, { shippingAddress, paymentMethod: 'cod', actor }), 400, 'Cart is empty');
+    });
+});
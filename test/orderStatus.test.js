@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+
+const { STATUS_TRANSITIONS } = Order;
+
+describe('Order status transitions', () => {
+    it('moves an order forward through fulfilment', () => {
+        const path = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'return_requested', 'returned', 'refunded'];
+
+        path.slice(1).forEach((status, index) => {
+            assert.ok(Order.canTransition(path[index], status), `${path[index]} -> ${status}`);
+        });
+    });
+
+    it('allows cancelling only before shipping', () => {
+        assert.ok(Order.canTransition('pending', 'cancelled'));
+        assert.ok(Order.canTransition('confirmed', 'cancelled'));
+        assert.ok(Order.canTransition('processing', 'cancelled'));
+        assert.ok(!Order.canTransition('shipped', 'cancelled'));
+        assert.ok(!Order.canTransition('delivered', 'cancelled'));
+    });
+
+    it('refunds only cancelled or returned orders', () => {
+        const refundable = Object.keys(STATUS_TRANSITIONS).filter(status => Order.canTransition(status, 'refunded'));
+
+        assert.deepEqual(refundable.sort(), ['cancelled', 'returned']);
+    });
+
+    it('puts an order with a rejected return back to delivered', () => {
+        assert.ok(Order.canTransition('return_requested', 'delivered'));
+    });
+
+    it('never moves an order back to pending or out of refunded', () => {
+        Object.keys(STATUS_TRANSITIONS).forEach(status => {
+            assert.ok(!Order.canTransition(status, 'pending'), `${status} -> pending`);
+        });
+        assert.deepEqual(STATUS_TRANSITIONS.refunded, []);
+    });
+
+    it('only leads to known statuses', () => {
+        Object.values(STATUS_TRANSITIONS).flat().forEach(status => {
+            assert.ok(status in STATUS_TRANSITIONS, status);
+        });
+    });
+
+    it('rejects unknown statuses', () => {
+        assert.ok(!Order.canTransition('lost', 'delivered'));
+        assert.ok(!Order.canTransition('pending', 'lost'));
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SMS_TRANSPORT = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const OTPSession = require('../models/OTPSession');
+const { messages } = require('../services/sms/memoryTransport');
+const otpRoutes = require('../routes/otp');
+const { fakeQuery, serveRouter, postJson } = require('./helpers');
+
+const PHONE = '+919876543210';
+const HOUR_MS = 60 * 60 * 1000;
+
+// A session for PHONE with a freshly issued OTP; returns it with the plain code
+const issuedSession = (fields) => {
+    const session = new OTPSession({ phoneNumber: PHONE, ...fields });
+    const otp = session.issueOtp();
+    return { session, otp };
+};
+
+// Stub the attempt claim: counts the attempt, or refuses once the OTP has had its attempts
+const stubAttempts = (t, session) => t.mock.method(OTPSession, 'findOneAndUpdate', () => {
+    if (session.attempts >= OTPSession.MAX_ATTEMPTS_PER_OTP) return fakeQuery(null);
+    session.attempts += 1;
+    return fakeQuery(session);
+});
+
+describe('POST /api/otp/verify', () => {
+    let url;
+    let close;
+
+    before(async () => {
+        ({ url, close } = await serveRouter('/api/otp', otpRoutes));
+    });
+
+    after(() => close());
+
+    it('locks the phone number once its failed attempts reach the limit', async (t) => {
+        const { session } = issuedSession({ failedAttempts: OTPSession.MAX_FAILED_ATTEMPTS - 1 });
+        t.mock.method(OTPSession, 'findOne', () => fakeQuery(session));
+        stubAttempts(t, session);
+        const update = t.mock.method(OTPSession, 'updateOne', async () => ({}));
+
+        const { status, body } = await postJson(`${url}/verify`, { phoneNumber: PHONE, otp: '000000', sessionId: session.sessionId });
+
+        assert.equal(status, 400);
+        assert.equal(body.message, 'Invalid OTP');
+        const [, changes] = update.mock.calls[0].arguments;
+        assert.deepEqual(changes.$inc, { failedAttempts: 1 });
+        const lockedFor = changes.$set.lockedUntil - Date.now();
+        assert.ok(Math.abs(lockedFor - OTPSession.LOCKOUT_HOURS * HOUR_MS) < 60 * 1000);
+        assert.ok(changes.$set.purgeAt >= changes.$set.lockedUntil);
+    });
+
+    it('counts a wrong code without locking below the limit', async (t) => {
+        const { session } = issuedSession({ failedAttempts: 2 });
+        t.mock.method(OTPSession, 'findOne', () => fakeQuery(session));
+        stubAttempts(t, session);
+        const update = t.mock.method(OTPSession, 'updateOne', async () => ({}));
+
+        const { body } = await postJson(`${url}/verify`, { phoneNumber: PHONE, otp: '000000', sessionId: session.sessionId });
+
+        assert.equal(body.attemptsLeft, OTPSession.MAX_ATTEMPTS_PER_OTP - 1);
+        assert.deepEqual(update.mock.calls[0].arguments[1], { $inc: { failedAttempts: 1 } });
+    });
+
+    it('refuses even the right code while the phone number is locked', async (t) => {
+        const { session, otp } = issuedSession({ lockedUntil: new Date(Date.now() + HOUR_MS) });
+        t.mock.method(OTPSession, 'findOne', () => fakeQuery(session));
+        const claim = stubAttempts(t, session);
+
+        const { status, body } = await postJson(`${url}/verify`, { phoneNumber: PHONE, otp, sessionId: session.sessionId });
+
+        assert.equal(status, 429);
+        assert.ok(body.lockedUntil);
+        assert.equal(claim.mock.callCount(), 0);
+    });
+
+    it('stops accepting guesses after the attempts allowed per OTP', async (t) => {
+        const { session, otp } = issuedSession();
+        session.attempts = OTPSession.MAX_ATTEMPTS_PER_OTP;
+        t.mock.method(OTPSession, 'findOne', () => fakeQuery(session));
+        stubAttempts(t, session);
+
+        const { status, body } = await postJson(`${url}/verify`, { phoneNumber: PHONE, otp, sessionId: session.sessionId });
+
+        assert.equal(status, 400);
+        assert.equal(body.message, 'Maximum verification attempts exceeded, please request a new OTP');
+    });
+
+    it('issues a guest token for the right code and clears the failure count', async (t) => {
+        const { session, otp } = issuedSession({ failedAttempts: 4 });
+        t.mock.method(OTPSession, 'findOne', () => fakeQuery(session));
+        stubAttempts(t, session);
+        const update = t.mock.method(OTPSession, 'updateOne', async () => ({}));
+
+        const { status, body } = await postJson(`${url}/verify`, { phoneNumber: '98765 43210', otp, sessionId: session.sessionId });
+
+        assert.equal(status, 200);
+        assert.ok(body.data.tempToken);
+        assert.deepEqual(update.mock.calls[0].arguments[1], { verified: true, failedAttempts: 0 });
+    });
+});
+
+describe('POST /api/otp/send', () => {
+    let url;
+    let close;
+
+    before(async () => {
+        ({ url, close } = await serveRouter('/api/otp', otpRoutes));
+    });
+
+    after(() => close());
+
+    it('refuses to send to a locked phone number', async (t) => {
+        const { session } = issuedSession({ lockedUntil: new Date(Date.now() + HOUR_MS) });
+        t.mock.method(OTPSession, 'findOne', () => fakeQuery(session));
+        const save = t.mock.method(OTPSession.prototype, 'save', async function () {
+            return this;
+        });
+
+        const { status } = await postJson(`${url}/send`, { phoneNumber: PHONE });
+
+        assert.equal(status, 429);
+        assert.equal(save.mock.callCount(), 0);
+    });
+
+    it('keeps failed attempts across resends and stores only a hash of the new code', async (t) => {
+        const { session } = issuedSession({ failedAttempts: 5, lastSentAt: new Date(Date.now() - HOUR_MS) });
+        const previousSessionId = session.sessionId;
+        t.mock.method(OTPSession, 'findOne', () => fakeQuery(session));
+        t.mock.method(OTPSession.prototype, 'save', async function () {
+            return this;
+        });
+
+        const { status, body } = await postJson(`${url}/send`, { phoneNumber: PHONE });
+
+        assert.equal(status, 200);
+        assert.notEqual(body.data.sessionId, previousSessionId);
+        assert.equal(session.failedAttempts, 5);
+        assert.equal(session.attempts, 0);
+
+        const otp = messages[messages.length - 1].body.slice(0, 6);
+        assert.ok(!session.otpHash.includes(otp));
+        assert.ok(session.matchesOtp(otp));
+    });
+});
@@ -0,0 +1,185 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Invoice = require('../models/Invoice');
+const Gem = require('../models/Gem');
+const CouponRedemption = require('../models/CouponRedemption');
+const { fakeQuery, mockTransactions, rejectsWithApiError } = require('./helpers');
+const { handlePaymentEvent, expireUnpaidOrders } = require('../services/paymentService');
+
+const paymentFor = (order, fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderId: order._id,
+    provider: 'fake',
+    providerPaymentId: 'fake_pi_1',
+    amount: order.total,
+    paidAt: new Date(),
+    ...fields
+});
+
+const orderWith = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderId: 'ORD-1',
+    paymentMethod: 'upi',
+    total: 1200,
+    refundedAmount: 0,
+    ...fields
+});
+
+// Stand-in for a created refund document
+const stubRefunds = (t) => t.mock.method(Refund, 'create', async (fields) => ({
+    ...fields,
+    status: 'pending',
+    save: async () => {}
+}));
+
+describe('handlePaymentEvent', () => {
+    it('confirms the order a pending payment pays for', async (t) => {
+        mockTransactions(t);
+        const order = orderWith({ status: 'pending', paymentStatus: 'unpaid' });
+        const payment = paymentFor(order, { status: 'succeeded' });
+        const settle = t.mock.method(Payment, 'findOneAndUpdate', () => fakeQuery(payment));
+        t.mock.method(Order, 'findById', () => fakeQuery(order));
+        const updateOrder = t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery({ ...order, status: 'confirmed' }));
+        // Already invoiced, so the invoice is reused
+        t.mock.method(Invoice, 'findOne', () => fakeQuery({ number: 'INV-1' }));
+
+        assert.equal(await handlePaymentEvent({ paymentId: 'fake_pi_1', status: 'succeeded' }), payment);
+
+        const [filter, update] = settle.mock.calls[0].arguments;
+        assert.deepEqual(filter, { providerPaymentId: 'fake_pi_1', status: { $in: ['pending', 'expired', 'failed'] } });
+        assert.equal(update.status, 'succeeded');
+        assert.deepEqual(update.$unset, { failureReason: 1 });
+
+        const [orderFilter, orderUpdate] = updateOrder.mock.calls[0].arguments;
+        assert.deepEqual(orderFilter, { _id: order._id, status: 'pending' });
+        assert.equal(orderUpdate.status, 'confirmed');
+        assert.equal(orderUpdate.paymentStatus, 'paid');
+    });
+
+    it('records a failed payment without touching the order', async (t) => {
+        mockTransactions(t);
+        const settle = t.mock.method(Payment, 'findOneAndUpdate', () => fakeQuery({ status: 'failed' }));
+        const findOrder = t.mock.method(Order, 'findById', () => fakeQuery(null));
+
+        await handlePaymentEvent({ paymentId: 'fake_pi_1', status: 'failed', reason: 'Card declined' });
+
+        const [filter, update] = settle.mock.calls[0].arguments;
+        assert.deepEqual(filter.status, { $in: ['pending'] });
+        assert.equal(update.failureReason, 'Card declined');
+        assert.equal(findOrder.mock.callCount(), 0);
+    });
+
+    it('ignores replayed events and warns about unknown payments', async (t) => {
+        mockTransactions(t);
+        t.mock.method(Payment, 'findOneAndUpdate', () => fakeQuery(null));
+        const exists = t.mock.method(Payment, 'exists', async () => ({ _id: 'payment-1' }));
+        const warn = t.mock.method(console, 'warn', () => {});
+
+        assert.equal(await handlePaymentEvent({ paymentId: 'fake_pi_1', status: 'succeeded' }), null);
+        assert.equal(warn.mock.callCount(), 0);
+
+        exists.mock.mockImplementation(async () => null);
+        assert.equal(await handlePaymentEvent({ paymentId: 'fake_pi_404', status: 'succeeded' }), null);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('rejects unsupported statuses', async () => {
+        await rejectsWithApiError(handlePaymentEvent({ paymentId: 'fake_pi_1', status: 'refunded' }), 400, 'Unsupported payment status');
+    });
+
+    it('marks an expired order paid and refunds it when its payment arrives late', async (t) => {
+        mockTransactions(t);
+        t.mock.method(console, 'warn', () => {});
+        const order = orderWith({ status: 'cancelled', paymentStatus: 'unpaid' });
+        const payment = paymentFor(order, { status: 'succeeded' });
+        t.mock.method(Payment, 'findOneAndUpdate', () => fakeQuery(payment));
+        t.mock.method(Payment, 'findOne', () => fakeQuery(payment));
+        t.mock.method(Order, 'findById', () => fakeQuery(order));
+        const updateOrder = t.mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+            if (update.paymentStatus === 'paid') return fakeQuery({ ...order, paymentStatus: 'paid' });
+            if (update.$inc) return fakeQuery({ ...order, paymentStatus: 'paid', refundedAmount: order.total });
+            return fakeQuery({ ...order, status: update.status });
+        });
+        const setPaymentStatus = t.mock.method(Order, 'updateOne', async () => ({}));
+        const createRefund = stubRefunds(t);
+
+        await handlePaymentEvent({ paymentId: 'fake_pi_1', status: 'succeeded' });
+
+        const [markPaid, reserve, refunded] = updateOrder.mock.calls.map(call => call.arguments);
+        assert.deepEqual(markPaid[0], { _id: order._id, paymentStatus: 'unpaid' });
+        assert.equal(markPaid[1].$push.statusHistory.status, 'cancelled');
+        assert.deepEqual(reserve[1], { $inc: { refundedAmount: 1200 } });
+        assert.equal(refunded[1].status, 'refunded');
+
+        const [refund] = createRefund.mock.calls[0].arguments;
+        assert.equal(refund.amount, 1200);
+        assert.equal(refund.reason, 'Order cancelled');
+        assert.equal((await createRefund.mock.calls[0].result).status, 'succeeded');
+        assert.deepEqual(setPaymentStatus.mock.calls[0].arguments[1], { paymentStatus: 'refunded' });
+    });
+
+    it('refunds a second payment for an order that was already paid', async (t) => {
+        mockTransactions(t);
+        t.mock.method(console, 'warn', () => {});
+        const order = orderWith({ status: 'confirmed', paymentStatus: 'paid' });
+        const payment = paymentFor(order, { status: 'succeeded', providerPaymentId: 'fake_pi_2', amount: 1200 });
+        t.mock.method(Payment, 'findOneAndUpdate', () => fakeQuery(payment));
+        t.mock.method(Order, 'findById', () => fakeQuery(order));
+        const updateOrder = t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery(null));
+        const createRefund = stubRefunds(t);
+
+        await handlePaymentEvent({ paymentId: 'fake_pi_2', status: 'succeeded' });
+
+        const [refund] = createRefund.mock.calls[0].arguments;
+        assert.equal(refund.paymentId, payment._id);
+        assert.equal(refund.amount, 1200);
+        // The order's own payment and refunded amount stay as they were
+        assert.equal(updateOrder.mock.callCount(), 0);
+    });
+});
+
+describe('expireUnpaidOrders', () => {
+    it('cancels overdue unpaid orders, restocks them and expires their payments', async (t) => {
+        mockTransactions(t);
+        const order = orderWith({ status: 'pending', paymentStatus: 'unpaid' });
+        const gemId = new mongoose.Types.ObjectId();
+        const findDue = t.mock.method(Order, 'find', () => fakeQuery([{ _id: order._id }]));
+        t.mock.method(Order, 'findById', () => fakeQuery(order));
+        const cancel = t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery({ ...order, status: 'cancelled' }));
+        t.mock.method(CouponRedemption, 'findOneAndDelete', async () => null);
+        t.mock.method(Invoice, 'findOne', () => fakeQuery(null));
+        t.mock.method(OrderItem, 'find', () => fakeQuery([{ gemId, quantity: 2 }]));
+        const restock = t.mock.method(Gem, 'findOneAndUpdate', () => fakeQuery({ stock: 3 }));
+        const expirePayments = t.mock.method(Payment, 'updateMany', async () => ({}));
+
+        assert.equal(await expireUnpaidOrders(), 1);
+
+        const [dueFilter] = findDue.mock.calls[0].arguments;
+        assert.equal(dueFilter.status, 'pending');
+        assert.equal(dueFilter.paymentStatus, 'unpaid');
+        assert.ok(dueFilter.paymentExpiresAt.$lte instanceof Date);
+        assert.equal(cancel.mock.calls[0].arguments[1].status, 'cancelled');
+        assert.deepEqual(restock.mock.calls[0].arguments.slice(0, 2), [{ _id: gemId }, { $inc: { stock: 2, soldCount: -2 } }]);
+        assert.deepEqual(expirePayments.mock.calls[0].arguments.slice(0, 2), [{ orderId: order._id, status: 'pending' }, { status: 'expired' }]);
+    });
+
+    it('leaves orders that were paid meanwhile', async (t) => {
+        mockTransactions(t);
+        const order = orderWith({ status: 'pending', paymentStatus: 'unpaid' });
+        t.mock.method(Order, 'find', () => fakeQuery([{ _id: order._id }]));
+        t.mock.method(Order, 'findById', () => fakeQuery(order));
+        // The payment moved the order on before the cancellation could
+        t.mock.method(Order, 'findOneAndUpdate', () => fakeQuery(null));
+        const expirePayments = t.mock.method(Payment, 'updateMany', async () => ({}));
+        const logError = t.mock.method(console, 'error', () => {});
+
+        assert.equal(await expireUnpaidOrders(), 0);
+        assert.equal(expirePayments.mock.callCount(), 0);
+        assert.equal(logError.mock.callCount(), 0);
+    });
+});
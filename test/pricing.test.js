@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateEffectivePrice, gemPricing } = require('../utils/pricing');
+
+describe('calculateEffectivePrice', () => {
+    it('keeps the price when there is no discount', () => {
+        assert.deepEqual(calculateEffectivePrice({ price: 1000, discount: 0, discountType: 'percentage' }), {
+            effectivePrice: 1000,
+            savingsAmount: 0,
+            savingsPercent: 0
+        });
+    });
+
+    it('takes a percentage discount off the price', () => {
+        assert.deepEqual(calculateEffectivePrice({ price: 1999, discount: 15, discountType: 'percentage' }), {
+            effectivePrice: 1699.15,
+            savingsAmount: 299.85,
+            savingsPercent: 15
+        });
+    });
+
+    it('takes a fixed discount off the price', () => {
+        assert.deepEqual(calculateEffectivePrice({ price: 1000, discount: 250, discountType: 'fixed' }), {
+            effectivePrice: 750,
+            savingsAmount: 250,
+            savingsPercent: 25
+        });
+    });
+
+    it('rounds prices to 2 decimals and the percentage to 1', () => {
+        assert.deepEqual(calculateEffectivePrice({ price: 100, discount: 33.333, discountType: 'percentage' }), {
+            effectivePrice: 66.67,
+            savingsAmount: 33.33,
+            savingsPercent: 33.3
+        });
+    });
+
+    it('never goes below 0 for a fixed discount bigger than the price', () => {
+        assert.deepEqual(calculateEffectivePrice({ price: 1000, discount: 1500, discountType: 'fixed' }), {
+            effectivePrice: 0,
+            savingsAmount: 1000,
+            savingsPercent: 100
+        });
+    });
+
+    it('reports no savings for a free gem', () => {
+        assert.equal(calculateEffectivePrice({ price: 0, discount: 10, discountType: 'fixed' }).savingsPercent, 0);
+    });
+});
+
+describe('gemPricing', () => {
+    it('uses the stored effective price', () => {
+        const gem = { price: 1000, discount: 10, discountType: 'percentage', effectivePrice: 950, savingsAmount: 50, savingsPercent: 5 };
+        assert.deepEqual(gemPricing(gem), { effectivePrice: 950, savingsAmount: 50, savingsPercent: 5 });
+    });
+
+    it('calculates the effective price when it has not been stored', () => {
+        const gem = { price: 1000, discount: 10, discountType: 'percentage' };
+        assert.deepEqual(gemPricing(gem), { effectivePrice: 900, savingsAmount: 100, savingsPercent: 10 });
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const fakeProvider = require('../services/payments/fakeProvider');
+const { fakeQuery, rejectsWithApiError } = require('./helpers');
+const { refundOrder, refundCancelledOrder } = require('../services/refundService');
+
+const staff = { id: 'staff-1', type: 'staff' };
+
+const paidOrder = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderId: 'ORD-1',
+    status: 'delivered',
+    paymentMethod: 'upi',
+    paymentStatus: 'paid',
+    total: 1000,
+    refundedAmount: 0,
+    ...fields
+});
+
+// Stub the refund writes; reserve answers the conditional refundedAmount update
+const stubRefund = (t, order, { reserve = (update) => ({ ...order, refundedAmount: order.refundedAmount + update.$inc.refundedAmount }) } = {}) => ({
+    findAndUpdateOrder: t.mock.method(Order, 'findOneAndUpdate', (filter, update) => fakeQuery(update.$inc ? reserve(update) : { ...order, status: update.status })),
+    updateOrder: t.mock.method(Order, 'updateOne', async () => ({})),
+    findPayment: t.mock.method(Payment, 'findOne', () => fakeQuery({ _id: 'payment-1', provider: 'fake', providerPaymentId: 'fake_pi_1' })),
+    createRefund: t.mock.method(Refund, 'create', async (fields) => ({ ...fields, status: 'pending', save: async () => {} }))
+});
+
+describe('refundOrder', () => {
+    it('reserves the amount so refunds never exceed the order total', async (t) => {
+        const order = paidOrder({ refundedAmount: 600 });
+        const { findAndUpdateOrder, createRefund } = stubRefund(t, order, { reserve: () => null });
+
+        await rejectsWithApiError(
+            refundOrder(order, { amount: 500, reason: 'Damaged', actor: staff }),
+            400,
+            'Refund would exceed the amount paid'
+        );
+        assert.deepEqual(findAndUpdateOrder.mock.calls[0].arguments[0], { _id: order._id, refundedAmount: { $lte: 500 } });
+        assert.equal(createRefund.mock.callCount(), 0);
+    });
+
+    it('refunds part of an order through its payment', async (t) => {
+        const order = paidOrder();
+        const { updateOrder, findAndUpdateOrder } = stubRefund(t, order);
+
+        const refund = await refundOrder(order, { amount: 250, reason: 'Damaged', actor: staff });
+
+        assert.equal(refund.method, 'original');
+        assert.equal(refund.status, 'succeeded');
+        assert.deepEqual(updateOrder.mock.calls[0].arguments[1], { paymentStatus: 'partially_refunded' });
+        // A partial refund leaves the order status alone
+        assert.equal(findAndUpdateOrder.mock.callCount(), 1);
+    });
+
+    it('releases the reserved amount when the provider rejects the refund', async (t) => {
+        const order = paidOrder();
+        const { updateOrder } = stubRefund(t, order);
+        t.mock.method(fakeProvider, 'refund', async () => {
+            throw new Error('Gateway unavailable');
+        });
+        t.mock.method(console, 'error', () => {});
+
+        const refund = await refundOrder(order, { amount: 250, reason: 'Damaged', actor: staff });
+
+        assert.equal(refund.status, 'failed');
+        assert.equal(refund.failureReason, 'Gateway unavailable');
+        assert.deepEqual(updateOrder.mock.calls[0].arguments[1], { $inc: { refundedAmount: -250 } });
+    });
+
+    it('records cash on delivery refunds as manual payouts', async (t) => {
+        const order = paidOrder({ paymentMethod: 'cod' });
+        const { findPayment } = stubRefund(t, order);
+
+        const refund = await refundOrder(order, { amount: 1000, reason: 'Damaged', actor: staff });
+
+        assert.equal(refund.method, 'manual');
+        assert.equal(refund.status, 'succeeded');
+        assert.equal(findPayment.mock.callCount(), 0);
+    });
+
+    it('rejects unpaid orders and empty amounts', async () => {
+        await rejectsWithApiError(refundOrder(paidOrder({ paymentStatus: 'unpaid' }), { amount: 10, actor: staff }), 400, 'Order has not been paid');
+        await rejectsWithApiError(refundOrder(paidOrder(), { amount: 0, actor: staff }), 400, 'Nothing to refund');
+    });
+});
+
+describe('refundCancelledOrder', () => {
+    it('refunds what is left of a paid cancelled order and marks it refunded', async (t) => {
+        const order = paidOrder({ status: 'cancelled', refundedAmount: 200 });
+        const { findAndUpdateOrder, createRefund } = stubRefund(t, order);
+
+        await refundCancelledOrder(order, staff);
+
+        assert.equal(createRefund.mock.calls[0].arguments[0].amount, 800);
+        assert.equal(findAndUpdateOrder.mock.calls[1].arguments[1].status, 'refunded');
+    });
+
+    it('does nothing for unpaid or active orders', async () => {
+        assert.equal(await refundCancelledOrder(paidOrder({ status: 'cancelled', paymentStatus: 'unpaid' }), staff), null);
+        assert.equal(await refundCancelledOrder(paidOrder(), staff), null);
+    });
+});
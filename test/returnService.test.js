@@ -0,0 +1,233 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OrderItem = require('../models/OrderItem');
+const ReturnRequest = require('../models/ReturnRequest');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Invoice = require('../models/Invoice');
+const Gem = require('../models/Gem');
+const { fakeQuery, mockTransactions, rejectsWithApiError } = require('./helpers');
+const { requestReturn, approveReturn, rejectReturn } = require('../services/returnService');
+
+const owner = { userId: new mongoose.Types.ObjectId() };
+const customer = { id: owner.userId, type: 'user' };
+const staff = { id: 'staff-1', type: 'staff' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const deliveredOrder = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderId: 'ORD-1',
+    status: 'delivered',
+    paymentMethod: 'upi',
+    paymentStatus: 'paid',
+    total: 2000,
+    refundedAmount: 0,
+    deliveredAt: new Date(Date.now() - DAY_MS),
+    ...fields
+});
+
+// A line of two units at 1000, with 100 of coupon and 5 of GST
+const orderItemOf = (order, fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderId: order._id,
+    gemId: new mongoose.Types.ObjectId(),
+    quantity: 2,
+    returnedQuantity: 0,
+    price: 1000,
+    couponDiscount: 100,
+    taxAmount: 5,
+    ...fields
+});
+
+describe('requestReturn', () => {
+    const stubRequest = (t, order, orderItem) => {
+        mockTransactions(t);
+        t.mock.method(Order, 'findOne', () => fakeQuery(order));
+        t.mock.method(OrderItem, 'find', () => fakeQuery([orderItem]));
+
+        return {
+            createRequest: t.mock.method(ReturnRequest, 'create', async ([fields]) => [fields]),
+            updateOrder: t.mock.method(Order, 'findOneAndUpdate', (filter, update) => fakeQuery({ ...order, status: update.status }))
+        };
+    };
+
+    it('refunds what was paid per unit and marks the order return requested', async (t) => {
+        const order = deliveredOrder();
+        const orderItem = orderItemOf(order);
+        const { createRequest, updateOrder } = stubRequest(t, order, orderItem);
+
+        const returnRequest = await requestReturn(owner, 'ORD-1', {
+            items: [{ orderItemId: orderItem._id.toString(), quantity: 1 }],
+            reason: 'Wrong size',
+            actor: customer
+        });
+
+        // (2 x 1000 - 100 coupon + 5 GST) / 2 units
+        assert.equal(returnRequest.items[0].price, 952.5);
+        assert.equal(returnRequest.refundAmount, 952.5);
+        assert.equal(createRequest.mock.callCount(), 1);
+        assert.equal(updateOrder.mock.calls[0].arguments[1].status, 'return_requested');
+    });
+
+    it('only returns units that have not been returned yet', async (t) => {
+        const order = deliveredOrder();
+        const orderItem = orderItemOf(order, { returnedQuantity: 1 });
+        stubRequest(t, order, orderItem);
+
+        await rejectsWithApiError(
+            requestReturn(owner, 'ORD-1', { items: [{ orderItemId: orderItem._id.toString(), quantity: 2 }], reason: 'Wrong size', actor: customer }),
+            400,
+            'Cannot return more than 1 of this item'
+        );
+
+        orderItem.returnedQuantity = 2;
+        await rejectsWithApiError(
+            requestReturn(owner, 'ORD-1', { items: [{ orderItemId: orderItem._id.toString(), quantity: 1 }], reason: 'Wrong size', actor: customer }),
+            400,
+            'This item has already been returned'
+        );
+    });
+
+    it('rejects returns after the return window', async (t) => {
+        const order = deliveredOrder({ deliveredAt: new Date(Date.now() - 30 * DAY_MS) });
+        const orderItem = orderItemOf(order);
+        const { createRequest } = stubRequest(t, order, orderItem);
+
+        await rejectsWithApiError(
+            requestReturn(owner, 'ORD-1', { items: [{ orderItemId: orderItem._id.toString(), quantity: 1 }], reason: 'Wrong size', actor: customer }),
+            400
+        );
+        assert.equal(createRequest.mock.callCount(), 0);
+    });
+
+    it('goes by the last update for orders without a delivery date', async (t) => {
+        const order = deliveredOrder({ deliveredAt: undefined, updatedAt: new Date() });
+        const orderItem = orderItemOf(order);
+        stubRequest(t, order, orderItem);
+
+        const returnRequest = await requestReturn(owner, 'ORD-1', {
+            items: [{ orderItemId: orderItem._id.toString(), quantity: 1 }],
+            reason: 'Wrong size',
+            actor: customer
+        });
+
+        assert.equal(returnRequest.refundAmount, 952.5);
+    });
+
+    it('rejects orders that have not been delivered', async (t) => {
+        stubRequest(t, deliveredOrder({ status: 'shipped' }), null);
+
+        await rejectsWithApiError(
+            requestReturn(owner, 'ORD-1', { items: [], reason: 'Wrong size', actor: customer }),
+            400,
+            'Only delivered orders can be returned'
+        );
+    });
+});
+
+describe('approveReturn', () => {
+    // Stub a return of one unit of orderItem from order, reviewed by staff
+    const stubApproval = (t, order, orderItem, { paymentMethod = order.paymentMethod } = {}) => {
+        mockTransactions(t);
+        const returnRequest = {
+            _id: new mongoose.Types.ObjectId(),
+            orderId: order._id,
+            items: [{ orderItemId: orderItem._id, gemId: orderItem.gemId, quantity: 1, price: 952.5 }],
+            reason: 'Wrong size',
+            refundAmount: 952.5,
+            save: async () => {}
+        };
+        const payment = { _id: new mongoose.Types.ObjectId(), provider: 'fake', providerPaymentId: 'fake_pi_1' };
+
+        t.mock.method(ReturnRequest, 'findOneAndUpdate', () => fakeQuery(returnRequest));
+        t.mock.method(Order, 'findById', () => fakeQuery({ ...order, paymentMethod }));
+        t.mock.method(OrderItem, 'updateOne', async () => ({}));
+        t.mock.method(OrderItem, 'find', () => fakeQuery([{ ...orderItem, returnedQuantity: orderItem.returnedQuantity + 1 }]));
+        t.mock.method(Invoice, 'findOne', () => fakeQuery(null));
+        t.mock.method(Payment, 'findOne', () => fakeQuery(payment));
+        t.mock.method(Refund, 'create', async (fields) => ({ ...fields, status: 'pending', save: async () => {} }));
+
+        // The stored order, as status changes and refund reservations leave it
+        const stored = { ...order, paymentMethod };
+
+        return {
+            returnRequest,
+            updateOrder: t.mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+                if (update.$inc) stored.refundedAmount += update.$inc.refundedAmount;
+                else stored.status = update.status;
+                return fakeQuery({ ...stored });
+            }),
+            setPaymentStatus: t.mock.method(Order, 'updateOne', async () => ({})),
+            unsell: t.mock.method(Gem, 'updateOne', async () => ({})),
+            restock: t.mock.method(Gem, 'findOneAndUpdate', () => fakeQuery({ stock: 4 }))
+        };
+    };
+
+    it('keeps a partly returned order delivered and refunds the returned units', async (t) => {
+        const order = deliveredOrder({ status: 'return_requested' });
+        const orderItem = orderItemOf(order);
+        const { updateOrder, setPaymentStatus, unsell, restock } = stubApproval(t, order, orderItem);
+
+        const { refund, refundError } = await approveReturn('return-1', { restock: false, actor: staff });
+
+        const statuses = updateOrder.mock.calls.map(call => call.arguments[1].status).filter(Boolean);
+        assert.deepEqual(statuses, ['delivered']);
+        assert.equal(refund.amount, 952.5);
+        assert.equal(refund.status, 'succeeded');
+        assert.equal(refundError, null);
+        assert.deepEqual(setPaymentStatus.mock.calls[0].arguments[1], { paymentStatus: 'partially_refunded' });
+        assert.deepEqual(unsell.mock.calls[0].arguments[1], { $inc: { soldCount: -1 } });
+        assert.equal(restock.mock.callCount(), 0);
+    });
+
+    it('marks a fully returned order returned, restocks it and then refunded', async (t) => {
+        const order = deliveredOrder({ status: 'return_requested' });
+        const orderItem = orderItemOf(order, { quantity: 1 });
+        const { updateOrder, restock } = stubApproval(t, order, orderItem);
+
+        await approveReturn('return-1', { restock: true, actor: staff });
+
+        const statuses = updateOrder.mock.calls.map(call => call.arguments[1].status).filter(Boolean);
+        assert.deepEqual(statuses, ['returned', 'refunded']);
+        assert.deepEqual(restock.mock.calls[0].arguments[1], { $inc: { stock: 1, soldCount: -1 } });
+    });
+
+    it('approves the return even when the refund cannot be made', async (t) => {
+        const order = deliveredOrder({ status: 'return_requested', paymentStatus: 'unpaid' });
+        const orderItem = orderItemOf(order);
+        stubApproval(t, order, orderItem);
+        t.mock.method(console, 'error', () => {});
+
+        const { returnRequest, refund, refundError } = await approveReturn('return-1', { restock: false, actor: staff });
+
+        assert.ok(returnRequest);
+        assert.equal(refund, null);
+        assert.equal(refundError, 'Order has not been paid');
+    });
+
+    it('rejects a return that was already reviewed', async (t) => {
+        mockTransactions(t);
+        t.mock.method(ReturnRequest, 'findOneAndUpdate', () => fakeQuery(null));
+        t.mock.method(ReturnRequest, 'exists', () => fakeQuery({ _id: 'return-1' }));
+
+        await rejectsWithApiError(approveReturn('return-1', { actor: staff }), 400, 'Return request has already been reviewed');
+    });
+});
+
+describe('rejectReturn', () => {
+    it('puts the order back to delivered', async (t) => {
+        mockTransactions(t);
+        const order = deliveredOrder({ status: 'return_requested' });
+        t.mock.method(ReturnRequest, 'findOneAndUpdate', () => fakeQuery({ _id: 'return-1', orderId: order._id, status: 'rejected' }));
+        t.mock.method(Order, 'findById', () => fakeQuery(order));
+        const updateOrder = t.mock.method(Order, 'findOneAndUpdate', (filter, update) => fakeQuery({ ...order, status: update.status }));
+
+        const returnRequest = await rejectReturn('return-1', { actor: staff });
+
+        assert.equal(returnRequest.status, 'rejected');
+        assert.deepEqual(updateOrder.mock.calls[0].arguments[0], { _id: order._id, status: 'return_requested' });
+        assert.equal(updateOrder.mock.calls[0].arguments[1].status, 'delivered');
+    });
+});
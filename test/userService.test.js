@@ -0,0 +1,53 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { promoteConfiguredAdmin } = require('../services/userService');
+
+describe('promoteConfiguredAdmin', () => {
+    let adminEmail;
+
+    beforeEach((t) => {
+        adminEmail = process.env.ADMIN_EMAIL;
+        process.env.ADMIN_EMAIL = ' Owner@Example.com ';
+        t.mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        if (adminEmail === undefined) delete process.env.ADMIN_EMAIL;
+        else process.env.ADMIN_EMAIL = adminEmail;
+    });
+
+    it('promotes the verified account named by ADMIN_EMAIL', async (t) => {
+        const findOne = t.mock.method(User, 'findOne', async () => ({ _id: 'user-1', email: 'owner@example.com', emailVerified: true, role: 'customer' }));
+        const updateOne = t.mock.method(User, 'updateOne', async () => ({}));
+
+        const user = await promoteConfiguredAdmin();
+
+        assert.deepEqual(findOne.mock.calls[0].arguments, [{ email: 'owner@example.com' }]);
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [{ _id: 'user-1' }, { role: 'admin' }]);
+        assert.equal(user.role, 'admin');
+    });
+
+    it('does not promote an account whose email is unverified', async (t) => {
+        t.mock.method(User, 'findOne', async () => ({ _id: 'user-1', emailVerified: false, role: 'customer' }));
+        const updateOne = t.mock.method(User, 'updateOne', async () => ({}));
+
+        assert.equal(await promoteConfiguredAdmin(), null);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    it('does nothing for a missing account, an existing admin or no ADMIN_EMAIL', async (t) => {
+        const findOne = t.mock.method(User, 'findOne', async () => null);
+        const updateOne = t.mock.method(User, 'updateOne', async () => ({}));
+
+        assert.equal(await promoteConfiguredAdmin(), null);
+
+        findOne.mock.mockImplementation(async () => ({ _id: 'user-1', emailVerified: true, role: 'admin' }));
+        assert.equal(await promoteConfiguredAdmin(), null);
+
+        delete process.env.ADMIN_EMAIL;
+        assert.equal(await promoteConfiguredAdmin(), null);
+        assert.equal(findOne.mock.callCount(), 2);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+});
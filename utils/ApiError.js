@@ -0,0 +1,11 @@
+// Error that carries the HTTP status (and optional payload) to send back
+class ApiError extends Error {
+    constructor(status, message, data) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+module.exports = ApiError;
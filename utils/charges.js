@@ -0,0 +1,119 @@
+const { roundPrice } = require('./pricing');
+
+// HSN code used for gems that don't set their own (cut and polished precious or semi-precious stones)
+const DEFAULT_HSN_CODE = '7103';
+
+// GST rates in percent by HSN code; codes not listed here use DEFAULT_GST_RATE
+const GST_RATES_BY_HSN = {
+    '7101': 3, // pearls
+    '7103': 0.25, // precious and semi-precious stones
+    '7113': 3, // jewellery
+    '7116': 3 // articles of pearls or stones
+};
+const DEFAULT_GST_RATE = parseFloat(process.env.DEFAULT_GST_RATE || '3');
+
+// HSN code for gems in these categories that don't set their own
+const HSN_CODES_BY_CATEGORY = {
+    jewellery: '7113',
+    jewelry: '7113',
+    pearl: '7101',
+    pearls: '7101'
+};
+
+// Shipping by zone; orders whose value (after discounts) reaches freeAbove ship free.
+// local and regional are relative to SELLER_PINCODE; remote covers the north-east, J&K and the islands.
+const SHIPPING_ZONES = {
+    local: { charge: 50, freeAbove: 2000 },
+    regional: { charge: 80, freeAbove: 5000 },
+    national: { charge: 120, freeAbove: 5000 },
+    remote: { charge: 200, freeAbove: 10000 }
+};
+const REMOTE_PINCODE_PREFIXES = ['18', '19', '78', '79', '744'];
+
+const COD_CHARGE = parseFloat(process.env.COD_CHARGE || '50');
+
+// GST treatment of a gem: its own HSN code, else its category's, else the default
+const getGstRate = (gem) => {
+    const hsnCode = gem.hsnCode
+        || HSN_CODES_BY_CATEGORY[(gem.category || '').toLowerCase()]
+        || DEFAULT_HSN_CODE;
+    const rate = GST_RATES_BY_HSN[hsnCode];
+
+    return {
+        hsnCode,
+        rate: rate === undefined ? DEFAULT_GST_RATE : rate
+    };
+};
+
+// Shipping zone for a delivery pincode
+const getShippingZone = (pincode) => {
+    const sellerPincode = process.env.SELLER_PINCODE;
+    pincode = String(pincode || '');
+
+    if (REMOTE_PINCODE_PREFIXES.some(prefix => pincode.startsWith(prefix))) return 'remote';
+    if (!sellerPincode || !pincode) return 'national';
+    if (pincode.slice(0, 3) === sellerPincode.slice(0, 3)) return 'local';
+    if (pincode[0] === sellerPincode[0]) return 'regional';
+    return 'national';
+};
+
+// Shipping charge for an order value delivered to a pincode
+const calculateShipping = (orderValue, pincode) => {
+    const zone = getShippingZone(pincode);
+    const { charge, freeAbove } = SHIPPING_ZONES[zone];
+
+    return {
+        zone,
+        charge: orderValue >= freeAbove ? 0 : charge,
+        freeAbove
+    };
+};
+
+// Itemised totals for priced lines ({ gem, quantity, price, couponDiscount? }).
+// GST is charged on each line's value after its share of the coupon; shipping and the COD charge are not taxed.
+const calculateOrderCharges = (lines, { pincode, paymentMethod } = {}) => {
+    let subtotal = 0;
+    let discount = 0;
+    let tax = 0;
+
+    const items = lines.map(line => {
+        const lineTotal = line.price * line.quantity;
+        const couponDiscount = line.couponDiscount || 0;
+        const { hsnCode, rate } = getGstRate(line.gem);
+        const taxableValue = roundPrice(lineTotal - couponDiscount);
+        const taxAmount = roundPrice(taxableValue * rate / 100);
+
+        subtotal += lineTotal;
+        discount += couponDiscount;
+        tax += taxAmount;
+
+        return { hsnCode, taxRate: rate, taxableValue, taxAmount };
+    });
+
+    subtotal = roundPrice(subtotal);
+    discount = roundPrice(discount);
+    tax = roundPrice(tax);
+
+    const shipping = calculateShipping(roundPrice(subtotal - discount), pincode);
+    const codCharge = paymentMethod === 'cod' ? COD_CHARGE : 0;
+
+    return {
+        items,
+        subtotal,
+        discount,
+        tax,
+        shipping: shipping.charge,
+        shippingZone: shipping.zone,
+        freeShippingAbove: shipping.freeAbove,
+        codCharge,
+        total: roundPrice(subtotal - discount + tax + shipping.charge + codCharge)
+    };
+};
+
+module.exports = {
+    DEFAULT_HSN_CODE,
+    getGstRate,
+    getShippingZone,
+    calculateShipping,
+    calculateOrderCharges
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Compare two strings in constant time
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+module.exports = {
+    safeEqual
+};
@@ -0,0 +1,41 @@
+// Hindi and trade names customers search by, mapped to the catalog terms (categories and
+// common names) they mean. Keys are lowercase and without punctuation, like normalised queries.
+const GEM_SYNONYMS = {
+    neelam: ['blue sapphire', 'sapphire'],
+    neela: ['blue sapphire', 'sapphire'],
+    nilam: ['blue sapphire', 'sapphire'],
+    pukhraj: ['yellow sapphire', 'sapphire'],
+    pukhraja: ['yellow sapphire', 'sapphire'],
+    pushparag: ['yellow sapphire', 'sapphire'],
+    padparadscha: ['sapphire'],
+    manik: ['ruby'],
+    manikya: ['ruby'],
+    maanik: ['ruby'],
+    panna: ['emerald'],
+    pachu: ['emerald'],
+    moti: ['pearl'],
+    mukta: ['pearl'],
+    moonga: ['red coral', 'coral'],
+    munga: ['red coral', 'coral'],
+    heera: ['diamond'],
+    hira: ['diamond'],
+    gomed: ['hessonite', 'garnet'],
+    gomedh: ['hessonite', 'garnet'],
+    lehsunia: ['cats eye', 'chrysoberyl'],
+    lahsuniya: ['cats eye', 'chrysoberyl'],
+    vaidurya: ['cats eye', 'chrysoberyl'],
+    firoza: ['turquoise'],
+    feroza: ['turquoise'],
+    sphatik: ['crystal', 'quartz'],
+    katela: ['amethyst'],
+    jamunia: ['amethyst'],
+    jamuniya: ['amethyst'],
+    tamra: ['garnet'],
+    suleimani: ['onyx', 'agate'],
+    hakik: ['agate'],
+    akik: ['agate'],
+    zabarjad: ['peridot'],
+    peetambari: ['yellow sapphire', 'sapphire']
+};
+
+module.exports = GEM_SYNONYMS;
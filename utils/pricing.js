@@ -0,0 +1,46 @@
+// Round a currency amount to 2 decimal places
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+// Calculate the price of a single unit of a gem after its discount, and what the discount saves.
+// The price never goes below 0, even for a fixed discount bigger than the price.
+const calculateEffectivePrice = ({ price, discount, discountType }) => {
+    let effectivePrice = price;
+
+    // Apply discount
+    if (discount > 0) {
+        if (discountType === 'percentage') {
+            effectivePrice = effectivePrice * (1 - discount / 100);
+        } else {
+            effectivePrice = effectivePrice - discount;
+        }
+    }
+
+    effectivePrice = roundPrice(Math.min(price, Math.max(0, effectivePrice)));
+    const savingsAmount = roundPrice(price - effectivePrice);
+
+    return {
+        effectivePrice,
+        savingsAmount,
+        savingsPercent: price > 0 ? Math.round((savingsAmount / price) * 1000) / 10 : 0
+    };
+};
+
+// A gem's stored effective price and savings. Gems saved before these were stored get them
+// calculated here until the startup backfill reaches them.
+const gemPricing = (gem) => {
+    if (gem.effectivePrice === undefined || gem.effectivePrice === null) {
+        return calculateEffectivePrice(gem);
+    }
+
+    return {
+        effectivePrice: gem.effectivePrice,
+        savingsAmount: gem.savingsAmount,
+        savingsPercent: gem.savingsPercent
+    };
+};
+
+module.exports = {
+    roundPrice,
+    calculateEffectivePrice,
+    gemPricing
+};
@@ -0,0 +1,79 @@
+const GEM_SYNONYMS = require('./gemSynonyms');
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+
+// Lowercase words without accents or punctuation, e.g. "Cat's Eye" -> ['cats', 'eye']
+const tokenize = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Leading substrings of a word, for autocomplete: "ruby" -> ['ru', 'rub', 'ruby']
+const prefixesOf = (word) => {
+    const prefixes = [];
+    for (let length = MIN_PREFIX_LENGTH; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+        prefixes.push(word.slice(0, length));
+    }
+    return prefixes;
+};
+
+// Three letter slices of a word, for typo tolerant matching: "ruby" -> ['rub', 'uby']
+const trigramsOf = (word) => {
+    if (word.length <= 3) return [word];
+
+    const grams = [];
+    for (let i = 0; i <= word.length - 3; i++) {
+        grams.push(word.slice(i, i + 3));
+    }
+    return grams;
+};
+
+const unique = (values) => [...new Set(values)];
+
+// Search terms stored on a gem, from its name and category
+const searchTermsFor = ({ name, category }) => {
+    const words = unique([...tokenize(name), ...tokenize(category)]);
+
+    return {
+        searchPrefixes: unique(words.flatMap(prefixesOf)),
+        searchGrams: unique(words.flatMap(trigramsOf))
+    };
+};
+
+// Catalog terms for the synonyms in a query. With partial, the last word also expands every
+// synonym it is the start of, so "pukh" already finds yellow sapphires while typing.
+const synonymTermsFor = (words, { partial = false } = {}) => {
+    const terms = [];
+
+    words.forEach((word, index) => {
+        if (GEM_SYNONYMS[word]) {
+            terms.push(...GEM_SYNONYMS[word]);
+        }
+        if (partial && index === words.length - 1 && word.length >= 3) {
+            Object.keys(GEM_SYNONYMS)
+                .filter(synonym => synonym !== word && synonym.startsWith(word))
+                .forEach(synonym => terms.push(...GEM_SYNONYMS[synonym]));
+        }
+    });
+
+    return unique(terms);
+};
+
+// Words of a query plus the words of the catalog terms its synonyms stand for
+const expandQuery = (query, options) => {
+    const words = tokenize(query);
+    const synonymWords = synonymTermsFor(words, options).flatMap(tokenize);
+    return unique([...words, ...synonymWords]);
+};
+
+module.exports = {
+    tokenize,
+    trigramsOf,
+    searchTermsFor,
+    synonymTermsFor,
+    expandQuery
+};
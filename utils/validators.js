@@ -0,0 +1,77 @@
+const { body } = require('express-validator');
+
+// Validation chain for the address fields under prefix (e.g. 'shippingAddress.')
+//   optional: skip missing fields, for partial updates
+//   when: only validate when this condition chain passes
+const addressValidation = (prefix = '', { optional = false, when } = {}) => {
+    const field = (name) => {
+        const chain = body(`${prefix}${name}`);
+        if (when) chain.if(when);
+        return optional ? chain.optional() : chain;
+    };
+
+    return [
+        field('firstName')
+            .trim()
+            .isLength({ min: 1 })
+            .withMessage('First name is required'),
+        field('lastName')
+            .trim()
+            .isLength({ min: 1 })
+            .withMessage('Last name is required'),
+        field('email')
+            .isEmail()
+            .withMessage('Valid email is required'),
+        field('phone')
+            .trim()
+            .isLength({ min: 1 })
+            .withMessage('Phone number is required'),
+        field('address')
+            .trim()
+            .isLength({ min: 1 })
+            .withMessage('Address is required'),
+        field('city')
+            .trim()
+            .isLength({ min: 1 })
+            .withMessage('City is required'),
+        field('state')
+            .trim()
+            .isLength({ min: 1 })
+            .withMessage('State is required'),
+        field('pincode')
+            .trim()
+            .isLength({ min: 1 })
+            .withMessage('Pincode is required')
+    ];
+};
+
+// Country code assumed for numbers given without one
+const DEFAULT_COUNTRY_CODE = '91';
+
+// One form for every way a phone number is typed: "+91 98765-43210", "919876543210",
+// "09876543210" and "9876543210" all become "+919876543210"
+const normalizePhone = (value) => {
+    const text = String(value || '').trim();
+    let digits = text.replace(/\D/g, '');
+
+    // Numbers starting with + already carry their country code
+    if (!text.startsWith('+')) {
+        if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+        if (digits.length === 10) digits = `${DEFAULT_COUNTRY_CODE}${digits}`;
+    }
+
+    return digits ? `+${digits}` : '';
+};
+
+// Same shape as express-validator failures, for errors raised by the model
+const modelValidationFailed = (validationError) => ({
+    success: false,
+    message: 'Validation failed',
+    errors: Object.values(validationError.errors).map(e => ({ path: e.path, msg: e.message }))
+});
+
+module.exports = {
+    addressValidation,
+    normalizePhone,
+    modelValidationFailed
+};